@@ -3,18 +3,42 @@
  * Handles communication between popup, content scripts, and web app
  */
 
+importScripts('crypto.js', 'health.js', 'publicsuffix.js', 'matcher.js', 'channel.js');
+
 class BackgroundService {
     constructor() {
-        this.passwordData = [];
+        this.passwordData = []; // Decrypted entries; only ever held in memory and chrome.storage.session
         this.isUserLoggedIn = false;
+        this.isLocked = false;
         this.userEmail = null;
+        this.autoLockMinutes = 15; // 0 disables the inactivity timer
+        this.autoLockAlarm = 'securevault-auto-lock';
+        this.healthMaxAgeDays = vaultHealth.defaultMaxAgeDays;
+        this.pendingLoginTimeout = 2 * 60 * 1000; // Multi-step logins must reach the password step within this time
+        this.pendingSaveTimeout = 60 * 1000; // A submitted login is offered for saving for this long
+        this.generatedPasswordTimeout = 30 * 60 * 1000; // Generated passwords wait this long for their form to be saved
+        this.webAppUrl = 'http://localhost:8000'; // Adjust URL as needed
+        this.contextMenuUpdate = Promise.resolve();
+        this.clipboardClearSeconds = 30; // 0 leaves copied values on the clipboard
+        this.offscreenCreating = null;
+        this.pairingTimeout = 5 * 60 * 1000; // A pairing request waits this long for the user's approval
+        this.vaultUpdates = Promise.resolve(); // Signed updates are checked one at a time, in order
+        this.vaultSaveQueueUpdate = Promise.resolve();
+        this.vaultSaveWaiters = new Map(); // changeId -> resolve(stored) for saves awaiting the web app
+        this.vaultSaveAckTimeout = 5 * 1000; // After this the user is told the save is still queued
+        this.sessionKey = null; // Non-extractable key from a popup unlock, held only in memory while unlocked
+        this.vaultRecordUpdate = Promise.resolve(); // Serializes changes to the stored vault record
         
         this.init();
     }
 
     init() {
         this.setupMessageListeners();
-        this.loadStoredData();
+        this.setupAutoLock();
+        this.setupCommands();
+        this.setupContextMenu();
+        this.ready = this.loadStoredData();
+        this.ready.then(() => this.updateContextMenu());
     }
 
     setupMessageListeners() {
@@ -29,38 +53,535 @@ class BackgroundService {
             if (changeInfo.status === 'complete' && tab.url) {
                 this.checkForLoginPage(tabId, tab.url);
             }
+            if (tab.active && (changeInfo.url || changeInfo.status === 'complete')) {
+                this.updateContextMenu();
+            }
+        });
+
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            this.clearPendingLogin(tabId);
+            this.clearTabState('pendingSaves', tabId);
+            this.clearTabState('generatedPasswords', tabId);
+            this.clearTabState('accountCycles', tabId);
+        });
+    }
+
+    setupAutoLock() {
+        // Lock when the machine is locked or the user has been idle for the configured time
+        chrome.idle.onStateChanged.addListener((state) => {
+            if (state === 'locked' || (state === 'idle' && this.autoLockMinutes > 0)) {
+                this.lockVault(state);
+            }
+        });
+
+        // Inactivity timer that survives the service worker being suspended
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name === this.autoLockAlarm) {
+                this.lockVault('timeout');
+            }
+        });
+    }
+
+    setupCommands() {
+        // Keyboard shortcuts from manifest.json; users can rebind them on chrome://extensions/shortcuts
+        chrome.commands.onCommand.addListener((command, tab) => {
+            this.handleCommand(command, tab);
+        });
+    }
+
+    async handleCommand(command, tab) {
+        await this.ready;
+        console.log('Command:', command);
+
+        if (command === 'lock-vault') {
+            await this.lockVault('shortcut');
+            return;
+        }
+
+        if (!tab || !tab.id) {
+            return;
+        }
+
+        switch (command) {
+            case 'autofill-login':
+            case 'cycle-account': {
+                this.resetAutoLockAlarm();
+                const entryId = await this.pickAccountForCommand(command, tab);
+                // Every frame decides for itself whether it holds the login form
+                chrome.tabs.sendMessage(tab.id, {
+                    type: 'AUTOFILL_REQUESTED',
+                    entryId: entryId
+                }).catch(() => {
+                    // Content script might not be ready yet
+                });
+                break;
+            }
+
+            case 'generate-password':
+                chrome.tabs.sendMessage(tab.id, {
+                    type: 'GENERATE_INTO_FOCUSED'
+                }).catch(() => {
+                    // Content script might not be ready yet
+                });
+                break;
+        }
+    }
+
+    /**
+     * The best match for the tab, or for cycle-account the one after the last account filled this way
+     */
+    async pickAccountForCommand(command, tab) {
+        const credentials = await this.getCredentialsForUrl(tab.url);
+        if (!credentials.length) {
+            return null;
+        }
+
+        if (command === 'autofill-login') {
+            await this.clearTabState('accountCycles', tab.id);
+            return credentials[0].id;
+        }
+
+        const cycle = await this.getTabState('accountCycles', tab.id);
+        const lastIndex = cycle ? credentials.findIndex(credential => credential.id === cycle.entryId) : -1;
+        const next = credentials[(lastIndex + 1) % credentials.length];
+
+        await this.setTabState('accountCycles', tab.id, { entryId: next.id }, this.pendingLoginTimeout);
+        return next.id;
+    }
+
+    setupContextMenu() {
+        chrome.contextMenus.onClicked.addListener((info, tab) => {
+            this.handleContextMenuClick(info, tab);
+        });
+
+        // Chrome has no event for the menu opening, so rebuild it for whichever tab is in front
+        chrome.tabs.onActivated.addListener(() => this.updateContextMenu());
+        chrome.windows.onFocusChanged.addListener(() => this.updateContextMenu());
+    }
+
+    updateContextMenu() {
+        // Rebuilds run one at a time; overlapping removeAll/create calls would collide on item ids
+        this.contextMenuUpdate = this.contextMenuUpdate
+            .then(() => this.buildContextMenu())
+            .catch((error) => {
+                console.error('Error updating context menu:', error);
+            });
+        return this.contextMenuUpdate;
+    }
+
+    /**
+     * Editable-field menu: the active tab's matching accounts with their fill and copy actions, plus
+     * the generator; only "Unlock vault" while locked. Item ids are "action:entryId"
+     */
+    async buildContextMenu() {
+        await chrome.contextMenus.removeAll();
+
+        const create = (properties) => new Promise((resolve) => {
+            chrome.contextMenus.create({ contexts: ['editable'], ...properties }, () => {
+                if (chrome.runtime.lastError) {
+                    console.error('Error creating context menu item:', chrome.runtime.lastError.message);
+                }
+                resolve();
+            });
+        });
+
+        if (!this.isUserLoggedIn) {
+            await create({ id: 'unlock', title: 'Unlock vault' });
+            return;
+        }
+
+        // tab.url needs the "tabs" permission; host permissions only cover the web app
+        const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        const credentials = tab && tab.url ? await this.getCredentialsForUrl(tab.url) : [];
+
+        if (!credentials.length) {
+            await create({ id: 'no-accounts', title: 'No saved logins for this site', enabled: false });
+        }
+
+        for (const account of this.getAccountSummaries(credentials)) {
+            const parentId = `account:${account.id}`;
+            await create({
+                id: parentId,
+                title: account.username ? `${account.username} (${account.platform})` : account.platform
+            });
+            await create({ id: `fill-both:${account.id}`, parentId, title: 'Fill username and password' });
+            await create({ id: `fill-username:${account.id}`, parentId, title: 'Fill username' });
+            await create({ id: `fill-password:${account.id}`, parentId, title: 'Fill password' });
+            await create({ id: `copy-password:${account.id}`, parentId, title: 'Copy password' });
+        }
+
+        await create({ id: 'separator', type: 'separator' });
+        await create({ id: 'generate', title: 'Generate password here' });
+    }
+
+    /**
+     * Every action goes to the frame that was right-clicked; fills then go through the same
+     * per-frame matching and confirmation as any other autofill
+     */
+    async handleContextMenuClick(info, tab) {
+        await this.ready;
+
+        const menuItemId = String(info.menuItemId);
+        const separator = menuItemId.indexOf(':');
+        const action = separator === -1 ? menuItemId : menuItemId.slice(0, separator);
+        const entryId = separator === -1 ? null : menuItemId.slice(separator + 1);
+
+        if (action === 'unlock') {
+            chrome.tabs.create({ url: this.webAppUrl });
+            return;
+        }
+
+        if (!tab || !tab.id || !this.isUserLoggedIn) {
+            return;
+        }
+
+        this.resetAutoLockAlarm();
+        const target = { frameId: info.frameId || 0 };
+
+        switch (action) {
+            case 'fill-both':
+            case 'fill-username':
+            case 'fill-password':
+                chrome.tabs.sendMessage(tab.id, {
+                    type: 'CONTEXT_MENU_FILL',
+                    entryId: entryId,
+                    fill: action.slice('fill-'.length)
+                }, target).catch(() => {
+                    // Content script might not be ready yet
+                });
+                break;
+
+            case 'copy-password': {
+                // Only for an account matching the clicked frame; the password itself never enters the page
+                const frameUrl = info.frameUrl || info.pageUrl;
+                if (this.getFramePolicy({ url: frameUrl, tab }).refused) {
+                    return;
+                }
+                const credentials = await this.getCredentialsForUrl(frameUrl);
+                const passwordData = credentials.find(credential => credential.id === entryId);
+                if (passwordData) {
+                    await this.copyToClipboard(passwordData.password);
+                    chrome.tabs.sendMessage(tab.id, {
+                        type: 'COPIED_TO_CLIPBOARD',
+                        label: 'Password',
+                        clearAfterSeconds: this.clipboardClearSeconds
+                    }, target).catch(() => {
+                        // Content script might not be ready yet
+                    });
+                }
+                break;
+            }
+
+            case 'generate':
+                chrome.tabs.sendMessage(tab.id, {
+                    type: 'GENERATE_INTO_FOCUSED'
+                }, target).catch(() => {
+                    // Content script might not be ready yet
+                });
+                break;
+        }
+    }
+
+    applyAutoLockSettings() {
+        if (this.autoLockMinutes > 0) {
+            // Chrome does not accept detection intervals below 15 seconds
+            chrome.idle.setDetectionInterval(Math.max(15, this.autoLockMinutes * 60));
+        }
+        this.resetAutoLockAlarm();
+    }
+
+    resetAutoLockAlarm() {
+        chrome.alarms.clear(this.autoLockAlarm);
+
+        if (this.isUserLoggedIn && this.autoLockMinutes > 0) {
+            chrome.alarms.create(this.autoLockAlarm, { delayInMinutes: this.autoLockMinutes });
+        }
+    }
+
+    /**
+     * Lock the vault: wipe decrypted data from memory and storage and tell every tab
+     */
+    async lockVault(reason) {
+        await this.ready;
+
+        if (!this.isUserLoggedIn && !this.passwordData.length) {
+            return;
+        }
+
+        console.log('Locking vault:', reason);
+
+        this.isUserLoggedIn = false;
+        this.isLocked = true;
+        this.passwordData = [];
+        this.sessionKey = null;
+        chrome.alarms.clear(this.autoLockAlarm);
+
+        await this.saveToStorage('userStatus', {
+            isLoggedIn: false,
+            isLocked: true,
+            email: this.userEmail
         });
+        await this.clearSessionCredentials();
+        await this.clearClipboard();
+
+        this.broadcastToContentScripts();
+        this.updateContextMenu();
+
+        // An open web app would otherwise keep its session key after an idle or system lock
+        if (reason !== 'webapp') {
+            await this.sendToWebApp('vault_locked');
+        }
+    }
+
+    /**
+     * Unlock from the popup without the web app: check the master password against the vault
+     * record the web app shared and decrypt the entries here
+     */
+    async unlockWithPassword(password) {
+        const record = await this.loadFromStorage('vaultRecord');
+        if (!record) {
+            return { success: false, error: 'Open the web app and sign in once to enable unlocking here.' };
+        }
+        if (!password) {
+            return { success: false, error: 'Enter your master password.' };
+        }
+
+        let entries = [];
+        let sessionKey;
+        if (record.encryptedData) {
+            try {
+                sessionKey = await cryptoUtils.createSessionKeyForData(password, record.encryptedData);
+                entries = JSON.parse(await cryptoUtils.decryptWithKey(record.encryptedData, sessionKey));
+            } catch (error) {
+                // Either a wrong password or a damaged vault; the stored hash tells them apart
+                if (!(await cryptoUtils.verifyPassword(password, record.hashedPassword))) {
+                    return { success: false, error: 'Incorrect master password.' };
+                }
+                return { success: false, error: 'Your vault could not be decrypted. Open the web app to check it.' };
+            }
+        } else if (!(await cryptoUtils.verifyPassword(password, record.hashedPassword))) {
+            // No vault yet, so the stored hash is the only check available
+            return { success: false, error: 'Incorrect master password.' };
+        } else {
+            sessionKey = await cryptoUtils.createSessionKey(password);
+        }
+
+        this.isUserLoggedIn = true;
+        this.isLocked = false;
+        this.userEmail = record.email;
+        this.sessionKey = sessionKey;
+        await this.saveToStorage('sessionKeyHeld', true, 'session');
+
+        // Changes made before the browser last closed, if the web app hasn't stored them yet
+        const restored = await this.restoreVaultSaveQueue(record);
+        this.passwordData = this.applyVaultChanges(Array.isArray(entries) ? entries : [], restored);
+
+        await this.saveToStorage('userStatus', {
+            isLoggedIn: true,
+            isLocked: false,
+            email: record.email
+        });
+        await this.saveToStorage('passwordData', this.passwordData, 'session');
+        this.resetAutoLockAlarm();
+
+        this.broadcastToContentScripts();
+        this.updateContextMenu();
+        await this.flushVaultSaves();
+
+        return { success: true };
+    }
+
+    /**
+     * Put the encrypted copy of the queue back into session storage, leaving out changes the web
+     * app has acknowledged since; returns the whole queue
+     */
+    async restoreVaultSaveQueue(record) {
+        const saved = record.pendingChanges;
+        let changes = [];
+
+        if (saved && saved.encryptedData && this.sessionKey) {
+            try {
+                const stillPending = new Set(saved.changeIds || []);
+                changes = JSON.parse(await cryptoUtils.decryptWithKey(saved.encryptedData, this.sessionKey))
+                    .filter(change => stillPending.has(change.changeId));
+            } catch (error) {
+                console.warn('Queued changes could not be decrypted and were dropped:', error);
+            }
+        }
+
+        await this.updateVaultSaveQueue(queue => [
+            ...queue,
+            ...changes.filter(change => !queue.some(queued => queued.changeId === change.changeId))
+        ]);
+        return await this.loadFromStorage('pendingVaultSaves', 'session') || [];
     }
 
     async handleMessage(message, sender, sendResponse) {
-        console.log('Background received message:', message);
+        console.log('Background received message:', message.type);
+        await this.ready;
 
         switch (message.type) {
             case 'VAULT_UPDATE':
-                await this.handleVaultUpdate(message);
+                this.vaultUpdates = this.vaultUpdates
+                    .then(() => this.receiveVaultUpdate(message, sender))
+                    .catch((error) => {
+                        console.error('Error handling vault update:', error);
+                        return { success: false };
+                    });
+                sendResponse(await this.vaultUpdates);
+                break;
+
+            case 'PAIR_REQUEST':
+                sendResponse(await this.startPairing(sender));
+                break;
+
+            case 'POPUP_PAIRING_RESPONSE':
+                sendResponse(this.isExtensionPage(sender)
+                    ? await this.finishPairing(message.approve)
+                    : { success: false });
+                break;
+
+            case 'CREDENTIAL_SUBMITTED':
+                await this.handleSubmittedCredential(message, sender);
                 sendResponse({ success: true });
                 break;
 
+            case 'GET_SAVE_PROMPT':
+                sendResponse({ prompt: sender.tab ? await this.getSavePromptForFrame(sender) : null });
+                break;
+
+            case 'SAVE_PROMPT_RESPONSE':
+                // The save bar lives in a tab; extension pages have no pending save to answer
+                sendResponse(sender.tab
+                    ? await this.handleSavePromptResponse(sender.tab.id, message.choice)
+                    : { success: false });
+                break;
+
             case 'GET_PASSWORD_DATA':
-                const passwordData = await this.getPasswordForDomain(message.domain);
-                sendResponse({ passwordData });
+                this.resetAutoLockAlarm();
+                const credentials = await this.getCredentialsForUrl(this.getRequestUrl(message, sender));
+                // A tab that filled its username on an earlier step continues with the same account
+                const pendingEntryId = sender.tab ? await this.getPendingLogin(sender.tab.id) : null;
+                // Availability check only; the password is sent when autofill is requested
+                sendResponse({
+                    accounts: this.getAccountSummaries(credentials),
+                    pendingEntryId: credentials.some(credential => credential.id === pendingEntryId) ? pendingEntryId : null,
+                    hasGeneratedPassword: Boolean(sender.tab && await this.getGeneratedPassword(sender))
+                });
+                break;
+
+            case 'GENERATED_PASSWORD':
+                await this.keepGeneratedPassword(message, sender);
+                sendResponse({ success: true });
+                break;
+
+            case 'GET_GENERATED_PASSWORD':
+                // Only back to a frame on the site it was generated for
+                sendResponse({ password: sender.tab ? await this.getGeneratedPassword(sender) : null });
                 break;
 
             case 'REQUEST_AUTOFILL':
-                await this.requestAutofill(message.domain, sender.tab.id);
+                this.resetAutoLockAlarm();
+                if (sender.tab) {
+                    await this.requestAutofill(sender, message.entryId, message.fill);
+                } else {
+                    // The popup has no frame of its own: each frame of the tab asks for itself
+                    chrome.tabs.sendMessage(message.tabId, {
+                        type: 'AUTOFILL_REQUESTED',
+                        entryId: message.entryId
+                    }).catch(() => {
+                        // Content script might not be ready yet
+                    });
+                }
+                sendResponse({ success: true });
+                break;
+
+            case 'CONFIRM_AUTOFILL_RESPONSE':
+                await this.handleAutofillConfirmation(sender, message.confirmed);
                 sendResponse({ success: true });
                 break;
 
             case 'POPUP_REQUEST_STATUS':
                 sendResponse({
                     isLoggedIn: this.isUserLoggedIn,
+                    isLocked: this.isLocked,
                     userEmail: this.userEmail,
-                    entriesCount: this.passwordData.length
+                    entriesCount: this.passwordData.length,
+                    healthIssues: vaultHealth.analyze(this.passwordData, { maxAgeDays: this.healthMaxAgeDays }).issueCount,
+                    pendingChanges: (await this.loadFromStorage('pendingVaultSaves', 'session') || []).length,
+                    pendingChangesKept: Boolean(this.sessionKey), // Also stored encrypted, so they outlive the browser session
+                    sessionKeyLost: this.isExtensionPage(sender) && await this.isSessionKeyLost(),
+                    autoLockMinutes: this.autoLockMinutes,
+                    pendingPairing: this.isExtensionPage(sender) ? await this.getPendingPairing() : null,
+                    unlockEmail: this.isExtensionPage(sender) ? await this.getUnlockEmail() : null
                 });
                 break;
 
+            case 'POPUP_UNLOCK':
+                sendResponse(this.isExtensionPage(sender)
+                    ? await this.unlockWithPassword(message.password)
+                    : { success: false });
+                break;
+
+            case 'POPUP_GET_ENTRIES':
+                // The whole vault, so extension pages only; passwords are fetched one entry at a time
+                sendResponse({ entries: this.isExtensionPage(sender) ? this.getEntrySummaries() : [] });
+                break;
+
+            case 'POPUP_GET_ENTRY':
+                this.resetAutoLockAlarm();
+                sendResponse({
+                    entry: this.isExtensionPage(sender)
+                        ? this.passwordData.find(entry => entry.id === message.entryId) || null
+                        : null
+                });
+                break;
+
+            case 'POPUP_SAVE_ENTRY':
+            case 'POPUP_DELETE_ENTRY':
+                if (!this.isExtensionPage(sender) || !this.isUserLoggedIn) {
+                    sendResponse({ success: false });
+                    break;
+                }
+                this.resetAutoLockAlarm();
+                sendResponse({
+                    success: true,
+                    delivered: await this.queueVaultSave(message.type === 'POPUP_SAVE_ENTRY'
+                        ? { op: 'edit', entry: { ...message.entry, id: (message.entry && message.entry.id) || this.generateEntryId() } }
+                        : { op: 'delete', entryId: message.entryId })
+                });
+                break;
+
+            case 'POPUP_COPY_TO_CLIPBOARD':
+                if (!this.isExtensionPage(sender)) {
+                    sendResponse({ success: false });
+                    break;
+                }
+                await this.copyToClipboard(message.text);
+                sendResponse({ success: true, clearAfterSeconds: this.clipboardClearSeconds });
+                break;
+
+            case 'CLIPBOARD_CLEARED':
+                // The offscreen document has nothing left to clear
+                if (this.isExtensionPage(sender)) {
+                    await chrome.offscreen.closeDocument().catch(() => {
+                        // Already closed
+                    });
+                }
+                sendResponse({ success: true });
+                break;
+
+            case 'POPUP_LOCK_VAULT':
+                if (!this.isExtensionPage(sender)) {
+                    sendResponse({ success: false });
+                    break;
+                }
+                await this.lockVault('manual');
+                sendResponse({ success: true });
+                break;
+
             case 'POPUP_OPEN_WEBAPP':
-                chrome.tabs.create({ url: 'http://localhost:8000' }); // Adjust URL as needed
+                chrome.tabs.create({ url: this.webAppUrl });
                 sendResponse({ success: true });
                 break;
 
@@ -69,38 +590,218 @@ class BackgroundService {
         }
     }
 
-    async handleVaultUpdate(message) {
+    /**
+     * Accept a VAULT_UPDATE only from the top frame of a paired origin, signed with that origin's
+     * key and newer than the last one seen. not_paired tells the web app to pair again
+     */
+    async receiveVaultUpdate(envelope, sender) {
+        if (!sender.tab || sender.frameId !== 0) {
+            return { success: false };
+        }
+
+        const pairedOrigins = await this.loadFromStorage('pairedOrigins') || {};
+        const pairing = pairedOrigins[sender.origin];
+        if (!pairing) {
+            console.warn('Rejected vault update from unpaired origin:', sender.origin);
+            return { success: false, error: 'not_paired' };
+        }
+
+        const update = await vaultChannel.open(pairing.key, envelope);
+        if (!update) {
+            console.warn('Rejected vault update with a bad signature from:', sender.origin);
+            return { success: false, error: 'not_paired' };
+        }
+        if (update.from !== 'webapp') {
+            console.warn('Rejected reflected extension message from:', sender.origin);
+            return { success: false, error: 'rejected' };
+        }
+        if (!(update.counter > pairing.counter)) {
+            console.warn('Rejected replayed vault update from:', sender.origin);
+            return { success: false, error: 'replayed' };
+        }
+
+        pairing.counter = update.counter;
+        await this.saveToStorage('pairedOrigins', pairedOrigins);
+
+        await this.handleVaultUpdate(update, sender);
+        return { success: true };
+    }
+
+    /**
+     * First step of pairing, asked for by the web app's top frame: a new key waits for the user to
+     * approve it in the popup, where the same code as in the web app is shown
+     */
+    async startPairing(sender) {
+        if (!sender.tab || sender.frameId !== 0 || sender.origin !== new URL(this.webAppUrl).origin) {
+            console.warn('Rejected pairing request from:', sender.origin);
+            return { success: false };
+        }
+
+        const key = vaultChannel.generateKey();
+        const code = await vaultChannel.getPairingCode(key);
+
+        await this.saveToStorage('pendingPairing', {
+            origin: sender.origin,
+            tabId: sender.tab.id,
+            key,
+            code,
+            expiresAt: Date.now() + this.pairingTimeout
+        }, 'session');
+        chrome.action.setBadgeText({ text: '1' });
+
+        return { success: true, code };
+    }
+
+    /**
+     * What the popup shows for a pairing request; never the key
+     */
+    async getPendingPairing() {
+        const pending = await this.loadFromStorage('pendingPairing', 'session');
+        return pending && pending.expiresAt > Date.now() ? { origin: pending.origin, code: pending.code } : null;
+    }
+
+    async finishPairing(approve) {
+        const pending = await this.loadFromStorage('pendingPairing', 'session');
+        await this.removeFromStorage('pendingPairing', 'session');
+        chrome.action.setBadgeText({ text: '' });
+
+        if (!pending || pending.expiresAt <= Date.now()) {
+            return { success: false };
+        }
+        if (!approve) {
+            return { success: true };
+        }
+
+        const pairedOrigins = await this.loadFromStorage('pairedOrigins') || {};
+        pairedOrigins[pending.origin] = {
+            key: pending.key,
+            counter: 0, // Last counter accepted from the web app
+            sentCounter: 0, // Last counter used for messages to it
+            pairedAt: new Date().toISOString()
+        };
+        await this.saveToStorage('pairedOrigins', pairedOrigins);
+
+        // The content script passes the key on only if its page is still on the paired origin
+        chrome.tabs.sendMessage(pending.tabId, {
+            type: 'PAIRING_COMPLETE',
+            origin: pending.origin,
+            key: pending.key
+        }, { frameId: 0 }).catch((error) => {
+            console.error('Error completing pairing:', error);
+        });
+
+        return { success: true };
+    }
+
+    async handleVaultUpdate(message, sender) {
         console.log('Handling vault update:', message.action);
 
         switch (message.action) {
             case 'user_logged_in':
                 this.isUserLoggedIn = true;
+                this.isLocked = false;
                 this.userEmail = message.data.email;
                 await this.saveToStorage('userStatus', {
                     isLoggedIn: true,
+                    isLocked: false,
                     email: message.data.email
                 });
+                this.resetAutoLockAlarm();
                 break;
 
             case 'user_logged_out':
                 this.isUserLoggedIn = false;
+                this.isLocked = false;
                 this.userEmail = null;
                 this.passwordData = [];
+                this.sessionKey = null;
                 await this.saveToStorage('userStatus', {
                     isLoggedIn: false,
+                    isLocked: false,
                     email: null
                 });
-                await this.saveToStorage('passwordData', []);
+                await this.clearSessionCredentials();
+                await this.updateVaultSaveQueue(() => []);
+                chrome.alarms.clear(this.autoLockAlarm);
                 break;
 
+            case 'vault_locked':
+                await this.lockVault('webapp');
+                return;
+
+            case 'saves_stored': {
+                // The web app encrypted and stored these changes; only now do they leave the queue
+                const stored = new Set((message.data && message.data.changeIds) || []);
+                await this.updateVaultSaveQueue(queue => queue.filter(change => !stored.has(change.changeId)));
+                stored.forEach(changeId => this.settleVaultSave(changeId, true));
+                return;
+            }
+
+            case 'vault_record_updated': {
+                // Encrypted vault and password hash, kept so the popup can unlock on its own
+                if (!message.data || !message.data.email || !message.data.hashedPassword) {
+                    return;
+                }
+
+                const { email, hashedPassword } = message.data;
+                const encryptedData = message.data.encryptedData || null;
+
+                await this.updateVaultRecord(async (previous) => {
+                    const sameAccount = previous && previous.email === email && previous.hashedPassword === hashedPassword;
+
+                    // A new password or salt means a new key; the one held here could no longer read the record
+                    if (!sameAccount || !this.sessionKeyMatches(encryptedData)) {
+                        this.sessionKey = null;
+                        await this.removeFromStorage('sessionKeyHeld', 'session');
+                    }
+
+                    return {
+                        email,
+                        hashedPassword,
+                        encryptedData,
+                        pendingChanges: sameAccount ? previous.pendingChanges || null : null
+                    };
+                });
+                return;
+            }
+
             case 'entries_updated':
-                this.passwordData = message.data || [];
-                await this.saveToStorage('passwordData', this.passwordData);
+                if (!this.isUserLoggedIn) {
+                    return; // Never hold decrypted entries while locked
+                }
+                // Changes the web app hasn't stored yet stay visible on top of what it reports
+                this.passwordData = this.applyVaultChanges(message.data || [],
+                    await this.loadFromStorage('pendingVaultSaves', 'session') || []);
+                // Session storage lives in memory and is cleared when the browser closes
+                await this.saveToStorage('passwordData', this.passwordData, 'session');
+                this.resetAutoLockAlarm();
+
+                // An unlocked web app can now encrypt logins the user chose to save from other sites
+                if (this.isWebAppSender(sender)) {
+                    await this.flushVaultSaves(sender.tab.id);
+                }
                 break;
+
+            case 'settings_updated':
+                if (typeof message.data.autoLockMinutes === 'number') {
+                    this.autoLockMinutes = message.data.autoLockMinutes;
+                    await this.saveToStorage('autoLockMinutes', this.autoLockMinutes);
+                    this.applyAutoLockSettings();
+                }
+                if (typeof message.data.healthMaxAgeDays === 'number') {
+                    this.healthMaxAgeDays = message.data.healthMaxAgeDays;
+                    await this.saveToStorage('healthMaxAgeDays', this.healthMaxAgeDays);
+                }
+                if (typeof message.data.clipboardClearSeconds === 'number') {
+                    this.clipboardClearSeconds = message.data.clipboardClearSeconds;
+                    await this.saveToStorage('clipboardClearSeconds', this.clipboardClearSeconds);
+                }
+                return;
         }
 
         // Notify all content scripts about the update
         this.broadcastToContentScripts(message);
+        this.updateContextMenu();
     }
 
     async broadcastToContentScripts(message) {
@@ -108,10 +809,11 @@ class BackgroundService {
             const tabs = await chrome.tabs.query({});
             
             for (const tab of tabs) {
+                // Status only: credentials reach a tab solely through an explicit autofill
                 chrome.tabs.sendMessage(tab.id, {
                     type: 'VAULT_STATUS_UPDATE',
                     isLoggedIn: this.isUserLoggedIn,
-                    passwordData: this.passwordData
+                    isLocked: this.isLocked
                 }).catch(() => {
                     // Ignore errors for tabs that don't have content script
                 });
@@ -121,34 +823,43 @@ class BackgroundService {
         }
     }
 
-    async getPasswordForDomain(domain) {
+    /**
+     * Content scripts are matched on the URL Chrome reports for their frame, the popup on the tab it names
+     */
+    getRequestUrl(message, sender) {
+        return sender.tab ? sender.url : message.url;
+    }
+
+    /**
+     * Every saved account whose URLs match the page
+     */
+    async getCredentialsForUrl(url) {
         if (!this.isUserLoggedIn || !this.passwordData.length) {
-            return null;
+            return [];
         }
 
-        const normalizedDomain = domain.toLowerCase().replace('www.', '');
-        
-        for (const entry of this.passwordData) {
-            const platformLower = entry.platform.toLowerCase();
-            
-            // Direct match
-            if (normalizedDomain.includes(platformLower) || platformLower.includes(normalizedDomain)) {
-                return {
-                    platform: entry.platform,
-                    password: entry.password
-                };
-            }
-            
-            // Try with .com extension
-            if (normalizedDomain.includes(platformLower + '.com') || (platformLower + '.com').includes(normalizedDomain)) {
-                return {
-                    platform: entry.platform,
-                    password: entry.password
-                };
-            }
-        }
+        return siteMatcher.findMatches(url, this.passwordData).map(entry => ({
+            id: entry.id,
+            platform: entry.platform,
+            username: entry.username,
+            password: entry.password
+        }));
+    }
+
+    /**
+     * Every entry without its password, for the popup's vault list
+     */
+    getEntrySummaries() {
+        return this.passwordData.map(({ id, platform, username, urls, strength, createdAt, updatedAt }) => ({
+            id, platform, username, urls: urls || [], strength, createdAt, updatedAt
+        }));
+    }
 
-        return null;
+    /**
+     * Account list without passwords, for pickers and availability checks
+     */
+    getAccountSummaries(credentials) {
+        return credentials.map(({ id, platform, username }) => ({ id, platform, username }));
     }
 
     async checkForLoginPage(tabId, url) {
@@ -156,15 +867,15 @@ class BackgroundService {
 
         try {
             const domain = new URL(url).hostname;
-            const passwordData = await this.getPasswordForDomain(domain);
+            const credentials = await this.getCredentialsForUrl(url);
 
-            if (passwordData) {
-                // Notify content script that we have password data for this domain
+            if (credentials.length) {
+                // Notify the top frame that we have password data for this domain; subframes check their own URL
                 chrome.tabs.sendMessage(tabId, {
                     type: 'PASSWORD_AVAILABLE',
                     domain: domain,
-                    platform: passwordData.platform
-                }).catch(() => {
+                    accounts: this.getAccountSummaries(credentials)
+                }, { frameId: 0 }).catch(() => {
                     // Content script might not be ready yet
                 });
             }
@@ -173,30 +884,667 @@ class BackgroundService {
         }
     }
 
-    async requestAutofill(domain, tabId) {
-        const passwordData = await this.getPasswordForDomain(domain);
-        
-        if (passwordData) {
+    /**
+     * Whether a frame may receive credentials. Frames from another origin than the tab (another
+     * subdomain, scheme or port), and pages served over plain http, need the user's confirmation;
+     * a frame from another site gets a stronger warning. Non-web frames are refused
+     */
+    getFramePolicy(sender) {
+        const frameUrl = new URL(sender.url);
+        const topUrl = new URL(sender.tab.url);
+        const isLoopback = (url) => ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+        const warnings = [];
+
+        if (!['https:', 'http:'].includes(frameUrl.protocol) || !frameUrl.hostname) {
+            return { refused: true, warnings };
+        }
+
+        if (siteMatcher.getBaseDomain(frameUrl.hostname) !== siteMatcher.getBaseDomain(topUrl.hostname)) {
+            warnings.push(`The login form comes from another site, ${frameUrl.hostname}, embedded in ${topUrl.hostname}.`);
+        } else if (frameUrl.origin !== topUrl.origin) {
+            warnings.push(`The login form comes from ${frameUrl.origin}, embedded in ${topUrl.origin}.`);
+        }
+        if ((frameUrl.protocol === 'http:' && !isLoopback(frameUrl)) || (topUrl.protocol === 'http:' && !isLoopback(topUrl))) {
+            warnings.push('This page is not secure (http), so the password can be read in transit.');
+        }
+
+        return { refused: false, warnings };
+    }
+
+    /**
+     * Fill the requesting frame; credentials are matched on that frame's own URL and sent to that
+     * document only. fill is 'both', or 'username' / 'password' for the field picked from the context menu
+     */
+    async requestAutofill(sender, entryId = null, fill = 'both') {
+        const tabId = sender.tab.id;
+        const target = sender.documentId ? { documentId: sender.documentId } : { frameId: sender.frameId };
+        const credentials = await this.getCredentialsForUrl(sender.url);
+        const passwordData = entryId
+            ? credentials.find(credential => credential.id === entryId)
+            : (credentials.length === 1 ? credentials[0] : null);
+
+        if (!passwordData && credentials.length > 1) {
+            // Let the user choose which account to fill
             chrome.tabs.sendMessage(tabId, {
-                type: 'AUTOFILL_PASSWORD',
-                passwordData: passwordData
-            }).catch((error) => {
-                console.error('Error sending autofill message:', error);
+                type: 'SHOW_ACCOUNT_PICKER',
+                accounts: this.getAccountSummaries(credentials)
+            }, target).catch((error) => {
+                console.error('Error sending account picker message:', error);
+            });
+            return;
+        }
+
+        if (!passwordData) {
+            return;
+        }
+
+        const policy = this.getFramePolicy(sender);
+        if (policy.refused) {
+            console.warn('Refused autofill into a non-web frame');
+            return;
+        }
+
+        if (policy.warnings.length) {
+            // Ask in the top frame, where the page cannot hide the question inside a small iframe
+            await this.setTabState('pendingFrameFills', tabId, { target, entryId: passwordData.id, url: sender.url, fill }, this.pendingSaveTimeout);
+            chrome.tabs.sendMessage(tabId, {
+                type: 'CONFIRM_AUTOFILL',
+                platform: passwordData.platform,
+                warnings: policy.warnings
+            }, { frameId: 0 }).catch((error) => {
+                console.error('Error sending autofill confirmation:', error);
+            });
+            return;
+        }
+
+        this.sendCredentials(tabId, target, passwordData, fill);
+    }
+
+    async handleAutofillConfirmation(sender, confirmed) {
+        // Only the tab's top frame shows the question
+        if (!sender.tab || sender.frameId !== 0) {
+            return;
+        }
+
+        const pending = await this.getTabState('pendingFrameFills', sender.tab.id);
+        await this.clearTabState('pendingFrameFills', sender.tab.id);
+
+        if (!pending || !confirmed) {
+            return;
+        }
+
+        const credentials = await this.getCredentialsForUrl(pending.url);
+        const passwordData = credentials.find(credential => credential.id === pending.entryId);
+        if (passwordData) {
+            this.sendCredentials(sender.tab.id, pending.target, passwordData, pending.fill);
+        }
+    }
+
+    sendCredentials(tabId, target, passwordData, fill = 'both') {
+        // A username-only fill never needs the password
+        const { password, ...summary } = passwordData;
+
+        chrome.tabs.sendMessage(tabId, {
+            type: 'AUTOFILL_PASSWORD',
+            passwordData: fill === 'username' ? summary : passwordData,
+            fill: fill
+        }, target).then((response) => {
+            // Username-first flows: remember the account until the password step shows up
+            if (response && response.filledPassword) {
+                this.clearPendingLogin(tabId);
+            } else if (response && response.filledUsername) {
+                this.setPendingLogin(tabId, passwordData.id);
+            }
+        }).catch((error) => {
+            console.error('Error sending autofill message:', error);
+        });
+    }
+
+    /**
+     * Per-tab state kept in chrome.storage.session under key, dropped once expiresAt has passed
+     */
+    async setTabState(key, tabId, value, timeout) {
+        const states = await this.loadFromStorage(key, 'session') || {};
+        states[tabId] = { ...value, expiresAt: Date.now() + timeout };
+        await this.saveToStorage(key, states, 'session');
+    }
+
+    async getTabState(key, tabId) {
+        const states = await this.loadFromStorage(key, 'session') || {};
+        const state = states[tabId];
+
+        if (state && state.expiresAt < Date.now()) {
+            await this.clearTabState(key, tabId);
+            return null;
+        }
+
+        return state || null;
+    }
+
+    async clearTabState(key, tabId) {
+        const states = await this.loadFromStorage(key, 'session');
+
+        if (states && states[tabId]) {
+            delete states[tabId];
+            await this.saveToStorage(key, states, 'session');
+        }
+    }
+
+    /**
+     * Pending multi-step logins per tab; holds entry ids only, never credentials
+     */
+    async setPendingLogin(tabId, entryId) {
+        await this.setTabState('pendingLogins', tabId, { entryId }, this.pendingLoginTimeout);
+    }
+
+    async getPendingLogin(tabId) {
+        const login = await this.getTabState('pendingLogins', tabId);
+        return login ? login.entryId : null;
+    }
+
+    async clearPendingLogin(tabId) {
+        await this.clearTabState('pendingLogins', tabId);
+    }
+
+    /**
+     * Everything credential-bearing in session storage, and the popup-unlock marker, wiped on lock
+     * and logout. Queued vault changes survive a lock so they aren't lost before the web app stores
+     * them; logout drops them
+     */
+    async clearSessionCredentials() {
+        await this.removeFromStorage('passwordData', 'session');
+        await this.removeFromStorage('pendingLogins', 'session');
+        await this.removeFromStorage('pendingSaves', 'session');
+        await this.removeFromStorage('generatedPasswords', 'session');
+        await this.removeFromStorage('pendingFrameFills', 'session');
+        await this.removeFromStorage('sessionKeyHeld', 'session');
+    }
+
+    /**
+     * The popup unlocked the vault, but the worker has since restarted and lost the in-memory key,
+     * so popup changes are no longer re-encrypted into the vault record
+     */
+    async isSessionKeyLost() {
+        return !this.sessionKey && Boolean(await this.loadFromStorage('sessionKeyHeld', 'session'));
+    }
+
+    /**
+     * A password generated into a signup or change form, held per tab until that login is saved
+     */
+    async keepGeneratedPassword(message, sender) {
+        if (!sender.tab || !this.isUserLoggedIn || !message.password) {
+            return;
+        }
+
+        await this.setTabState('generatedPasswords', sender.tab.id, {
+            baseDomain: siteMatcher.getBaseDomain(new URL(sender.url).hostname),
+            username: message.username || '',
+            password: message.password
+        }, this.generatedPasswordTimeout);
+    }
+
+    async getGeneratedPassword(sender) {
+        const generated = await this.getTabState('generatedPasswords', sender.tab.id);
+        const baseDomain = siteMatcher.getBaseDomain(new URL(sender.url).hostname);
+
+        return generated && generated.baseDomain === baseDomain ? generated.password : null;
+    }
+
+    /**
+     * The offscreen document does the clipboard work, since a service worker has no DOM; it also
+     * keeps the clear-timer running after the popup closes
+     */
+    async ensureOffscreenDocument() {
+        if (await chrome.offscreen.hasDocument()) {
+            return;
+        }
+
+        // Two copies in quick succession must not both create the document
+        if (!this.offscreenCreating) {
+            this.offscreenCreating = chrome.offscreen.createDocument({
+                url: 'offscreen.html',
+                reasons: ['CLIPBOARD'],
+                justification: 'Copy credentials and clear them from the clipboard after the configured time'
+            }).finally(() => {
+                this.offscreenCreating = null;
+            });
+        }
+        await this.offscreenCreating;
+    }
+
+    async copyToClipboard(text) {
+        if (!text) {
+            return;
+        }
+
+        try {
+            await this.ensureOffscreenDocument();
+            await chrome.runtime.sendMessage({
+                target: 'offscreen',
+                type: 'OFFSCREEN_COPY',
+                text: text,
+                clearAfterSeconds: this.clipboardClearSeconds
             });
+        } catch (error) {
+            console.error('Error copying to clipboard:', error);
         }
     }
 
-    async saveToStorage(key, data) {
+    /**
+     * Clear our last copy now, if it is still on the clipboard
+     */
+    async clearClipboard() {
         try {
-            await chrome.storage.local.set({ [key]: data });
+            if (await chrome.offscreen.hasDocument()) {
+                await chrome.runtime.sendMessage({ target: 'offscreen', type: 'OFFSCREEN_CLEAR' });
+            }
+        } catch (error) {
+            console.error('Error clearing clipboard:', error);
+        }
+    }
+
+    /**
+     * The account the popup can unlock, if the web app has shared its vault record
+     */
+    async getUnlockEmail() {
+        const record = await this.loadFromStorage('vaultRecord');
+        return record ? record.email : null;
+    }
+
+    /**
+     * The popup and other pages of this extension; content scripts always have a tab
+     */
+    isExtensionPage(sender) {
+        return Boolean(sender && !sender.tab && sender.id === chrome.runtime.id &&
+            sender.url && sender.url.startsWith(chrome.runtime.getURL('')));
+    }
+
+    isWebAppSender(sender) {
+        return Boolean(sender && sender.tab && sender.origin === new URL(this.webAppUrl).origin);
+    }
+
+    /**
+     * Hold a login submitted in a tab until the user answers the save prompt; logins that match a
+     * saved entry exactly, sites marked "never" and the web app's own forms are ignored
+     */
+    async handleSubmittedCredential(message, sender) {
+        if (!sender.tab || !this.isUserLoggedIn || this.isWebAppSender(sender) || !message.password) {
+            return;
+        }
+
+        const url = sender.url;
+        const domain = new URL(url).hostname;
+        const neverSave = await this.loadFromStorage('neverSaveSites') || [];
+        if (neverSave.includes(siteMatcher.getBaseDomain(domain))) {
+            return;
+        }
+
+        const credentials = await this.getCredentialsForUrl(url);
+        let username = (message.username || '').trim();
+
+        // Password-only step of a split login: the username was filled from this one account
+        if (!username && credentials.length === 1) {
+            username = credentials[0].username;
+        }
+
+        const existing = credentials.find(credential => credential.username.toLowerCase() === username.toLowerCase());
+        if (existing && existing.password === message.password) {
+            await this.clearTabState('pendingSaves', sender.tab.id);
+            return;
+        }
+
+        await this.setTabState('pendingSaves', sender.tab.id, {
+            action: existing ? 'update' : 'save',
+            entryId: existing ? existing.id : null,
+            url,
+            domain,
+            username,
+            password: message.password
+        }, this.pendingSaveTimeout);
+    }
+
+    /**
+     * The save bar always shows in the top frame; a subframe that saw the login hands it up
+     */
+    async getSavePromptForFrame(sender) {
+        const prompt = await this.getSavePrompt(sender.tab.id);
+
+        if (prompt && sender.frameId !== 0) {
+            chrome.tabs.sendMessage(sender.tab.id, { type: 'SHOW_SAVE_PROMPT', prompt }, { frameId: 0 }).catch(() => {
+                // Top frame has no content script
+            });
+            return null;
+        }
+
+        return prompt;
+    }
+
+    /**
+     * What the save bar shows; never includes the password
+     */
+    async getSavePrompt(tabId) {
+        const pending = await this.getTabState('pendingSaves', tabId);
+        return pending && this.isUserLoggedIn
+            ? { action: pending.action, username: pending.username, domain: pending.domain }
+            : null;
+    }
+
+    async handleSavePromptResponse(tabId, choice) {
+        const pending = await this.getTabState('pendingSaves', tabId);
+        await this.clearTabState('pendingSaves', tabId);
+
+        if (!pending) {
+            return { success: false };
+        }
+
+        if (choice === 'never') {
+            const neverSave = await this.loadFromStorage('neverSaveSites') || [];
+            const baseDomain = siteMatcher.getBaseDomain(pending.domain);
+            if (!neverSave.includes(baseDomain)) {
+                neverSave.push(baseDomain);
+                await this.saveToStorage('neverSaveSites', neverSave);
+            }
+            return { success: true };
+        }
+
+        if (choice !== 'save') {
+            return { success: true };
+        }
+
+        // Saved, so the generated copy is no longer needed
+        await this.clearTabState('generatedPasswords', tabId);
+
+        const { publicSuffix, baseDomain } = siteMatcher.getDomainParts(pending.domain);
+        const delivered = await this.queueVaultSave({
+            entryId: pending.entryId || this.generateEntryId(),
+            platform: publicSuffix ? baseDomain.slice(0, -(publicSuffix.length + 1)) : baseDomain,
+            username: pending.username,
+            password: pending.password,
+            url: new URL(pending.url).origin
+        });
+
+        return { success: true, delivered };
+    }
+
+    /**
+     * Add a login or popup change to the queue the web app encrypts and stores; true once the web
+     * app has acknowledged storing it
+     */
+    async queueVaultSave(change) {
+        const queued = { ...change, changeId: crypto.randomUUID() };
+        await this.updateVaultSaveQueue(queue => [...queue, queued]);
+        await this.showVaultChanges([queued]);
+
+        const stored = new Promise(resolve => {
+            const timer = setTimeout(() => this.settleVaultSave(queued.changeId, false), this.vaultSaveAckTimeout);
+            this.vaultSaveWaiters.set(queued.changeId, (result) => {
+                clearTimeout(timer);
+                resolve(result);
+            });
+        });
+
+        if (!(await this.flushVaultSaves())) {
+            this.settleVaultSave(queued.changeId, false);
+        }
+
+        return stored;
+    }
+
+    /**
+     * Put queued changes into the decrypted vault, so the popup, autofill and menus show them
+     * before the web app has stored them
+     */
+    async showVaultChanges(changes) {
+        if (!this.isUserLoggedIn) {
+            return; // Never hold decrypted entries while locked
+        }
+
+        this.passwordData = this.applyVaultChanges(this.passwordData, changes);
+        await this.saveToStorage('passwordData', this.passwordData, 'session');
+        this.broadcastToContentScripts();
+        this.updateContextMenu();
+        await this.saveVaultRecord();
+    }
+
+    /**
+     * Re-encrypt the vault with the popup's session key, so a popup unlock after a browser restart
+     * still shows changes the web app hasn't stored
+     */
+    async saveVaultRecord() {
+        if (await this.isSessionKeyLost()) {
+            console.warn('Vault record not re-encrypted: the session key was lost when the service worker restarted');
+            return;
+        }
+
+        await this.updateVaultRecord(async (record) => {
+            if (!record || !this.sessionKey) {
+                return null;
+            }
+
+            record.encryptedData = await cryptoUtils.encryptWithKey(JSON.stringify(this.passwordData), this.sessionKey);
+            return record;
+        });
+    }
+
+    /**
+     * Read-modify-write of the vault record, one at a time; update returns the new record or null
+     * to leave it as it is
+     */
+    updateVaultRecord(update) {
+        this.vaultRecordUpdate = this.vaultRecordUpdate
+            .then(async () => {
+                const record = await update(await this.loadFromStorage('vaultRecord'));
+                if (record) {
+                    await this.saveToStorage('vaultRecord', record);
+                }
+            })
+            .catch((error) => {
+                console.error('Error updating the vault record:', error);
+            });
+        return this.vaultRecordUpdate;
+    }
+
+    /**
+     * Whether the session key was derived with the salt and KDF of this ciphertext
+     */
+    sessionKeyMatches(encryptedData) {
+        if (!this.sessionKey || !encryptedData) {
+            return Boolean(this.sessionKey);
+        }
+
+        try {
+            const envelope = cryptoUtils.parseEnvelope(encryptedData);
+            return cryptoUtils.bytesToBase64(envelope.salt) === cryptoUtils.bytesToBase64(this.sessionKey.salt) &&
+                JSON.stringify(envelope.kdf) === JSON.stringify(this.sessionKey.kdf);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Apply queued changes to a copy of the vault the way the web app will store them: by entry id,
+     * or for a save prompt login by platform and username. Applying a change twice is harmless,
+     * since the queue is applied again over each vault the web app reports
+     */
+    applyVaultChanges(entries, changes) {
+        const now = new Date().toISOString();
+        const entryKey = entry => `${String(entry.platform || '').trim().toLowerCase()}|${String(entry.username || '').trim().toLowerCase()}`;
+
+        return changes.reduce((vault, change) => {
+            if (change.op === 'delete') {
+                return vault.filter(entry => entry.id !== change.entryId);
+            }
+
+            const edit = change.op === 'edit';
+            const source = edit ? change.entry || {} : change;
+            if (typeof source.password !== 'string' || !source.password) {
+                return vault;
+            }
+
+            const id = edit ? source.id : change.entryId;
+            const existing = vault.find(entry => entry.id === id) ||
+                (edit ? null : vault.find(entry => entryKey(entry) === entryKey(source)));
+            if (edit && vault.some(entry => entry !== existing && entryKey(entry) === entryKey(source))) {
+                return vault; // The web app skips edits that would duplicate an entry
+            }
+
+            let fields;
+            if (edit) {
+                fields = { platform: source.platform, username: source.username, password: source.password, urls: source.urls || [] };
+            } else if (existing) {
+                fields = { password: source.password }; // The save prompt only updates the password
+            } else {
+                fields = {
+                    platform: source.platform,
+                    username: source.username,
+                    password: source.password,
+                    urls: source.url ? [{ url: source.url, match: siteMatcher.defaultMode }] : []
+                };
+            }
+
+            if (!existing) {
+                return [...vault, { id, ...fields, createdAt: now, passwordChangedAt: now }];
+            }
+
+            const updated = {
+                ...existing,
+                ...fields,
+                updatedAt: now,
+                passwordChangedAt: existing.password !== fields.password
+                    ? now
+                    : existing.passwordChangedAt || existing.createdAt
+            };
+            return vault.map(entry => (entry === existing ? updated : entry));
+        }, entries);
+    }
+
+    /**
+     * Same format as the web app's ids, given to new entries here so both copies of the vault
+     * refer to them by the same id
+     */
+    generateEntryId() {
+        const random = Array.from(crypto.getRandomValues(new Uint8Array(4)), b => b.toString(16).padStart(2, '0')).join('');
+        return `${Date.now()}${random}`;
+    }
+
+    settleVaultSave(changeId, stored) {
+        const resolve = this.vaultSaveWaiters.get(changeId);
+        if (resolve) {
+            this.vaultSaveWaiters.delete(changeId);
+            resolve(stored);
+        }
+    }
+
+    /**
+     * Read-modify-write of the queue, one at a time so an acknowledgement never drops a new change
+     */
+    updateVaultSaveQueue(update) {
+        this.vaultSaveQueueUpdate = this.vaultSaveQueueUpdate
+            .then(async () => {
+                const queue = update(await this.loadFromStorage('pendingVaultSaves', 'session') || []);
+                await this.saveToStorage('pendingVaultSaves', queue, 'session');
+                await this.persistVaultSaveQueue(queue);
+            })
+            .catch((error) => {
+                console.error('Error updating the save queue:', error);
+            });
+        return this.vaultSaveQueueUpdate;
+    }
+
+    /**
+     * Session storage is cleared when the browser closes, so the queue is also kept in the vault
+     * record, encrypted with the popup's session key. Without that key the copy can't be rewritten,
+     * but its list of change ids still drops whatever the web app has acknowledged
+     */
+    async persistVaultSaveQueue(queue) {
+        await this.updateVaultRecord(async (record) => {
+            if (!record || (!this.sessionKey && !record.pendingChanges)) {
+                return null;
+            }
+
+            const changeIds = queue.map(change => change.changeId);
+            if (!queue.length) {
+                record.pendingChanges = null;
+            } else if (this.sessionKey) {
+                record.pendingChanges = {
+                    changeIds,
+                    encryptedData: await cryptoUtils.encryptWithKey(JSON.stringify(queue), this.sessionKey)
+                };
+            } else {
+                record.pendingChanges.changeIds = record.pendingChanges.changeIds.filter(id => changeIds.includes(id));
+            }
+            return record;
+        });
+    }
+
+    /**
+     * Hand queued logins to an open web app tab. They stay queued until the web app acknowledges
+     * storing them; a locked or closed web app gets them again when it next reports its entries
+     */
+    async flushVaultSaves(tabId = null) {
+        const queue = await this.loadFromStorage('pendingVaultSaves', 'session') || [];
+        if (!queue.length || !this.isUserLoggedIn) {
+            return false;
+        }
+
+        return this.sendToWebApp('save_credentials', queue, tabId);
+    }
+
+    /**
+     * Post a signed message to the web app through the content script of its tab (or of every open
+     * web app tab); true once a tab has taken it
+     */
+    async sendToWebApp(action, data = null, tabId = null) {
+        // Only a paired web app can check the signature, so nothing goes out before pairing
+        const origin = new URL(this.webAppUrl).origin;
+        const pairedOrigins = await this.loadFromStorage('pairedOrigins') || {};
+        const pairing = pairedOrigins[origin];
+        if (!pairing) {
+            return false;
+        }
+
+        pairing.sentCounter = Math.max(pairing.sentCounter + 1, Date.now());
+        await this.saveToStorage('pairedOrigins', pairedOrigins);
+        const envelope = await vaultChannel.seal(pairing.key, {
+            from: 'extension',
+            action,
+            data,
+            counter: pairing.sentCounter
+        });
+
+        const tabIds = tabId ? [tabId] : (await chrome.tabs.query({ url: `${this.webAppUrl}/*` })).map(tab => tab.id);
+
+        for (const id of tabIds) {
+            try {
+                const response = await chrome.tabs.sendMessage(id, {
+                    type: 'VAULT_TO_WEBAPP',
+                    origin: origin, // The tab may have navigated since the query
+                    payload: envelope.payload,
+                    mac: envelope.mac
+                }, { frameId: 0 });
+
+                if (response && response.success) {
+                    return true;
+                }
+            } catch (error) {
+                // Tab without a content script; try the next one
+            }
+        }
+
+        return false;
+    }
+
+    async saveToStorage(key, data, area = 'local') {
+        try {
+            await chrome.storage[area].set({ [key]: data });
         } catch (error) {
             console.error('Error saving to storage:', error);
         }
     }
 
-    async loadFromStorage(key) {
+    async loadFromStorage(key, area = 'local') {
         try {
-            const result = await chrome.storage.local.get(key);
+            const result = await chrome.storage[area].get(key);
             return result[key];
         } catch (error) {
             console.error('Error loading from storage:', error);
@@ -204,19 +1552,54 @@ class BackgroundService {
         }
     }
 
+    async removeFromStorage(key, area = 'local') {
+        try {
+            await chrome.storage[area].remove(key);
+        } catch (error) {
+            console.error('Error removing from storage:', error);
+        }
+    }
+
     async loadStoredData() {
         try {
+            // Keep session data away from content scripts
+            await chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_CONTEXTS' });
+
+            // Older versions kept decrypted entries at rest; drop them
+            await this.removeFromStorage('passwordData');
+
             const userStatus = await this.loadFromStorage('userStatus');
             if (userStatus) {
                 this.isUserLoggedIn = userStatus.isLoggedIn || false;
+                this.isLocked = userStatus.isLocked || false;
                 this.userEmail = userStatus.email || null;
             }
 
-            const passwordData = await this.loadFromStorage('passwordData');
-            if (passwordData) {
+            const autoLockMinutes = await this.loadFromStorage('autoLockMinutes');
+            if (typeof autoLockMinutes === 'number') {
+                this.autoLockMinutes = autoLockMinutes;
+            }
+            this.applyAutoLockSettings();
+
+            const healthMaxAgeDays = await this.loadFromStorage('healthMaxAgeDays');
+            if (typeof healthMaxAgeDays === 'number') {
+                this.healthMaxAgeDays = healthMaxAgeDays;
+            }
+
+            const clipboardClearSeconds = await this.loadFromStorage('clipboardClearSeconds');
+            if (typeof clipboardClearSeconds === 'number') {
+                this.clipboardClearSeconds = clipboardClearSeconds;
+            }
+
+            const passwordData = await this.loadFromStorage('passwordData', 'session');
+            if (this.isUserLoggedIn && passwordData) {
                 this.passwordData = passwordData;
             }
 
+            if (this.isUserLoggedIn && await this.isSessionKeyLost()) {
+                console.warn('Session key lost when the service worker restarted; popup changes are no longer kept encrypted');
+            }
+
             console.log('Loaded stored data:', {
                 isLoggedIn: this.isUserLoggedIn,
                 userEmail: this.userEmail,
@@ -234,6 +1617,8 @@ const backgroundService = new BackgroundService();
 // Keep service worker alive
 chrome.runtime.onStartup.addListener(() => {
     console.log('SecureVault extension started');
+    // Never carry an unlocked vault across a browser restart
+    backgroundService.lockVault('browser_restart');
 });
 
 chrome.runtime.onInstalled.addListener(() => {
@@ -0,0 +1,79 @@
+/**
+ * Authenticated messages between the web app and the extension
+ * Both sides hold a key agreed in a one-time pairing; every message is signed with HMAC-SHA-256
+ * and carries its direction and an increasing counter, so forged, reflected or replayed messages are rejected
+ * Mirrors project/channel.js; loaded by the service worker, so the instance lives on self
+ */
+
+class VaultChannel {
+    constructor() {
+        this.algorithm = { name: 'HMAC', hash: 'SHA-256' };
+        this.keyLength = 32; // Bytes
+    }
+
+    bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    }
+
+    /**
+     * A fresh pairing key, base64-encoded
+     */
+    generateKey() {
+        return this.bytesToBase64(crypto.getRandomValues(new Uint8Array(this.keyLength)));
+    }
+
+    async importKey(key) {
+        return crypto.subtle.importKey('raw', this.base64ToBytes(key), this.algorithm, false, ['sign', 'verify']);
+    }
+
+    /**
+     * Six digits both sides show during pairing, so the user can tell they are pairing with each other
+     */
+    async getPairingCode(key) {
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', this.base64ToBytes(key)));
+        const number = ((digest[0] << 16) | (digest[1] << 8) | digest[2]) % 1000000;
+        const code = String(number).padStart(6, '0');
+        return `${code.slice(0, 3)} ${code.slice(3)}`;
+    }
+
+    /**
+     * Sign a message; returns the { payload, mac } envelope to send
+     */
+    async seal(key, message) {
+        const payload = JSON.stringify(message);
+        const signature = await crypto.subtle.sign(this.algorithm, await this.importKey(key), new TextEncoder().encode(payload));
+        return { payload, mac: this.bytesToBase64(new Uint8Array(signature)) };
+    }
+
+    /**
+     * The message inside an envelope, or null when it wasn't signed with this key
+     */
+    async open(key, envelope) {
+        if (!envelope || typeof envelope.payload !== 'string' || typeof envelope.mac !== 'string') {
+            return null;
+        }
+
+        try {
+            const valid = await crypto.subtle.verify(
+                this.algorithm,
+                await this.importKey(key),
+                this.base64ToBytes(envelope.mac),
+                new TextEncoder().encode(envelope.payload)
+            );
+            return valid ? JSON.parse(envelope.payload) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Global instance
+self.vaultChannel = new VaultChannel();
@@ -6,10 +6,18 @@
 class ContentScript {
     constructor() {
         this.isVaultLoggedIn = false;
-        this.passwordData = [];
+        this.isVaultLocked = false;
         this.currentDomain = window.location.hostname;
-        this.autofillButton = null;
         this.passwordFields = [];
+        this.usernameFields = [];
+        this.forms = [];
+        this.accounts = []; // Account summaries for this site; never passwords
+        this.inlineMenu = new InlineMenu((field) => this.getMenuItems(field));
+        this.savePrompt = new SavePrompt((choice) => this.answerSavePrompt(choice));
+        this.lastSubmission = null;
+        this.hasGeneratedPassword = false; // The background holds a generated password for this site
+        this.offeredFields = new WeakSet(); // New-password fields the generator menu has opened on
+        this.contextField = null; // Field last right-clicked, for context menu fills
         
         this.init();
     }
@@ -21,6 +29,10 @@ class ContentScript {
         
         // Re-scan for password fields when DOM changes
         this.observeDOM();
+
+        // Offer to save logins submitted here, including one submitted just before navigating here
+        this.watchSubmissions();
+        this.checkSavePrompt();
     }
 
     setupMessageListeners() {
@@ -30,32 +42,129 @@ class ContentScript {
             return true;
         });
 
-        // Listen for messages from the web app (if on vault website)
+        // Remember which field the context menu was opened on
+        document.addEventListener('contextmenu', (e) => {
+            if (e.isTrusted) {
+                const target = e.composedPath()[0];
+                this.contextField = target instanceof HTMLInputElement ? target : null;
+            }
+        }, true);
+
+        // Messages from the web app: only from this window itself, never from other frames or openers.
+        // The service worker decides whether this origin is paired and the message genuine
         window.addEventListener('message', (event) => {
+            if (event.source !== window || event.origin !== window.location.origin || !event.data) {
+                return;
+            }
+
             if (event.data.type === 'VAULT_UPDATE') {
                 this.handleVaultMessage(event.data);
+            } else if (event.data.type === 'EXTENSION_PAIR_REQUEST') {
+                this.requestPairing();
             }
         });
     }
 
     handleMessage(message, sender, sendResponse) {
-        console.log('Content script received message:', message);
+        console.log('Content script received message:', message.type);
 
         switch (message.type) {
             case 'VAULT_STATUS_UPDATE':
+                const wasLocked = this.isVaultLocked;
                 this.isVaultLoggedIn = message.isLoggedIn;
-                this.passwordData = message.passwordData || [];
+                this.isVaultLocked = message.isLocked || false;
                 this.updateAutofillUI();
+
+                if (this.isVaultLocked && !wasLocked && this.passwordFields.length > 0) {
+                    this.showNotification('SecureVault is locked', 'info');
+                }
                 sendResponse({ success: true });
                 break;
 
             case 'PASSWORD_AVAILABLE':
-                this.showAutofillOption(message.platform);
+                this.accounts = message.accounts || [];
+                this.updateInlineIcons();
+                sendResponse({ success: true });
+                break;
+
+            case 'SHOW_ACCOUNT_PICKER':
+                this.accounts = message.accounts || [];
+                this.updateInlineIcons();
+                this.showAccountPicker();
                 sendResponse({ success: true });
                 break;
 
             case 'AUTOFILL_PASSWORD':
-                this.autofillPassword(message.passwordData);
+                // Report what was filled so the background can carry the account to a later password step
+                sendResponse({ success: true, ...this.autofillCredentials(message.passwordData, message.fill) });
+                break;
+
+            case 'CONTEXT_MENU_FILL':
+                // Sent only to the frame that was right-clicked
+                this.requestAutofill(message.entryId, message.fill);
+                sendResponse({ success: true });
+                break;
+
+            case 'COPIED_TO_CLIPBOARD':
+                // The service worker did the copy; the value itself never comes to the page
+                this.showNotification(message.clearAfterSeconds > 0
+                    ? `${message.label} copied; the clipboard clears in ${message.clearAfterSeconds} s`
+                    : `${message.label} copied`, 'success');
+                sendResponse({ success: true });
+                break;
+
+            case 'AUTOFILL_REQUESTED':
+                // From the popup or a shortcut, sent to every frame; only frames with a login form ask for credentials
+                if (this.isVaultLocked && window === window.top) {
+                    this.showNotification('SecureVault is locked', 'info');
+                } else if (this.hasFillableFields()) {
+                    this.requestAutofill(message.entryId);
+                }
+                sendResponse({ success: true });
+                break;
+
+            case 'GENERATE_INTO_FOCUSED':
+                // Sent to every frame; the one holding focus answers
+                if (document.hasFocus()) {
+                    this.generateIntoFocusedField();
+                }
+                sendResponse({ success: true });
+                break;
+
+            case 'CONFIRM_AUTOFILL':
+                this.confirmAutofill(message);
+                sendResponse({ success: true });
+                break;
+
+            case 'SHOW_SAVE_PROMPT':
+                this.savePrompt.show(message.prompt);
+                sendResponse({ success: true });
+                break;
+
+            case 'VAULT_TO_WEBAPP':
+                // Sent only to the web app's tab, which checks the signature before acting on it
+                if (window.location.origin !== message.origin) {
+                    sendResponse({ success: false });
+                    break;
+                }
+                window.postMessage({
+                    type: 'EXTENSION_MESSAGE',
+                    payload: message.payload,
+                    mac: message.mac
+                }, window.location.origin);
+                sendResponse({ success: true });
+                break;
+
+            case 'PAIRING_COMPLETE':
+                // The user approved pairing in the popup; hand the key to the web app if this is still its page
+                if (window !== window.top || window.location.origin !== message.origin) {
+                    sendResponse({ success: false });
+                    break;
+                }
+                window.postMessage({
+                    type: 'EXTENSION_PAIRED',
+                    key: message.key
+                }, window.location.origin);
                 sendResponse({ success: true });
                 break;
 
@@ -65,11 +174,27 @@ class ContentScript {
     }
 
     handleVaultMessage(data) {
-        // Forward vault messages to background script
+        // Forward the signed envelope as-is; the service worker checks it against the pairing key
         chrome.runtime.sendMessage({
             type: 'VAULT_UPDATE',
-            action: data.action,
-            data: data.data
+            payload: data.payload,
+            mac: data.mac
+        }).then(response => {
+            if (response && response.error === 'not_paired') {
+                window.postMessage({ type: 'EXTENSION_PAIRING_INVALID' }, window.location.origin);
+            }
+        }).catch(() => {
+            // Background script might not be ready
+        });
+    }
+
+    requestPairing() {
+        chrome.runtime.sendMessage({
+            type: 'PAIR_REQUEST'
+        }).then(response => {
+            if (response && response.success) {
+                window.postMessage({ type: 'EXTENSION_PAIR_PENDING', code: response.code }, window.location.origin);
+            }
         }).catch(() => {
             // Background script might not be ready
         });
@@ -81,7 +206,7 @@ class ContentScript {
         }).then(response => {
             if (response) {
                 this.isVaultLoggedIn = response.isLoggedIn;
-                this.passwordData = [];
+                this.isVaultLocked = response.isLocked || false;
                 this.updateAutofillUI();
             }
         }).catch(() => {
@@ -92,27 +217,38 @@ class ContentScript {
     detectPasswordFields() {
         // Find all password input fields
         this.passwordFields = Array.from(document.querySelectorAll('input[type="password"]'));
-        
-        // Also look for email/username fields that might be part of login forms
-        const emailFields = Array.from(document.querySelectorAll('input[type="email"], input[type="text"]'))
-            .filter(field => {
-                const placeholder = field.placeholder.toLowerCase();
-                const name = field.name.toLowerCase();
-                const id = field.id.toLowerCase();
-                
-                return placeholder.includes('email') || placeholder.includes('username') ||
-                       name.includes('email') || name.includes('username') || name.includes('login') ||
-                       id.includes('email') || id.includes('username') || id.includes('login');
-            });
 
-        console.log(`Found ${this.passwordFields.length} password fields and ${emailFields.length} email/username fields`);
+        // Classify each form so autofill only touches the fields that matter for it
+        this.forms = formAnalyzer.analyzePage();
+        this.usernameFields = this.forms.map(form => form.usernameField).filter(Boolean);
+
+        console.log(`Found ${this.passwordFields.length} password fields in forms: ${this.forms.map(form => form.type).join(', ') || 'none'}`);
 
-        // If we have password fields, check if we have matching credentials
-        if (this.passwordFields.length > 0) {
+        this.updateInlineIcons();
+
+        // Username-only pages count too: they are the first step of a split login
+        if (this.hasFillableFields()) {
             this.checkForMatchingCredentials();
         }
     }
 
+    /**
+     * Forms where a saved login belongs: sign-in forms (including username-only steps), the current
+     * password of a change-password form, and unclassified forms with a password field
+     */
+    getFillableForms() {
+        return this.forms.filter(form => form.type === 'login' || form.type === 'unknown' ||
+            (form.type === 'password-change' && form.currentPasswordFields.length > 0));
+    }
+
+    hasFillableFields() {
+        return this.getFillableForms().length > 0;
+    }
+
+    hasPasswordStep() {
+        return this.getFillableForms().some(form => form.currentPasswordFields.length > 0);
+    }
+
     async checkForMatchingCredentials() {
         try {
             const response = await chrome.runtime.sendMessage({
@@ -120,102 +256,399 @@ class ContentScript {
                 domain: this.currentDomain
             });
 
-            if (response && response.passwordData) {
-                this.showAutofillOption(response.passwordData.platform);
+            // Second step of a split login: the user already chose this account on the username step
+            if (response && response.pendingEntryId && this.hasPasswordStep()) {
+                this.requestAutofill(response.pendingEntryId);
+                return;
             }
+
+            this.accounts = (response && response.accounts) || [];
+            this.hasGeneratedPassword = Boolean(response && response.hasGeneratedPassword);
+            this.updateInlineIcons();
         } catch (error) {
             console.error('Error checking for matching credentials:', error);
         }
     }
 
-    showAutofillOption(platform) {
-        if (!this.isVaultLoggedIn || this.passwordFields.length === 0) {
-            return;
+    /**
+     * Fields that get the inline icon: username and current password of fillable forms, and the
+     * new-password fields of registration and change-password forms
+     */
+    getDecoratedFields() {
+        if (!this.isVaultLoggedIn && !this.isVaultLocked) {
+            return [];
         }
 
-        // Remove existing autofill button if any
-        this.removeAutofillButton();
-
-        // Create autofill button
-        this.autofillButton = document.createElement('div');
-        this.autofillButton.id = 'securevault-autofill-btn';
-        this.autofillButton.innerHTML = `
-            <div style="
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                z-index: 10000;
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                color: white;
-                padding: 12px 20px;
-                border-radius: 25px;
-                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-                font-size: 14px;
-                font-weight: 600;
-                cursor: pointer;
-                box-shadow: 0 4px 15px rgba(0,0,0,0.2);
-                transition: all 0.3s ease;
-                display: flex;
-                align-items: center;
-                gap: 8px;
-                border: none;
-                outline: none;
-            " onmouseover="this.style.transform='translateY(-2px)'" onmouseout="this.style.transform='translateY(0)'">
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                    <path d="M12,17A2,2 0 0,0 14,15C14,13.89 13.1,13 12,13A2,2 0 0,0 10,15A2,2 0 0,0 12,17M18,8A2,2 0 0,1 20,10V20A2,2 0 0,1 18,22H6A2,2 0 0,1 4,20V10C4,8.89 4.9,8 6,8H7V6A5,5 0 0,1 12,1A5,5 0 0,1 17,6V8H18M12,3A3,3 0 0,0 9,6V8H15V6A3,3 0 0,0 12,3Z"/>
-                </svg>
-                Fill ${platform} Password
-            </div>
-        `;
+        const fields = [];
+        this.getFillableForms().forEach(form => {
+            if (form.usernameField && form.type !== 'password-change') {
+                fields.push(form.usernameField);
+            }
+            fields.push(...form.currentPasswordFields);
+        });
+        this.forms.filter(form => form.type === 'registration' || form.type === 'password-change')
+            .forEach(form => fields.push(...form.newPasswordFields));
+
+        return fields;
+    }
 
-        // Add click event
-        this.autofillButton.addEventListener('click', () => {
-            this.requestAutofill();
+    updateInlineIcons() {
+        const fields = this.getDecoratedFields();
+        this.inlineMenu.attach(fields);
+
+        // Offer a generated password the first time a new-password field is focused
+        this.forms.filter(form => form.type === 'registration' || form.type === 'password-change').forEach(form => {
+            form.newPasswordFields.filter(field => fields.includes(field) && !this.offeredFields.has(field)).forEach(field => {
+                this.offeredFields.add(field);
+                field.addEventListener('focus', (e) => {
+                    if (e.isTrusted && this.isVaultLoggedIn && !field.value && !this.inlineMenu.openField) {
+                        this.inlineMenu.open(field);
+                    }
+                });
+            });
         });
+    }
 
-        document.body.appendChild(this.autofillButton);
+    /**
+     * Dropdown entries for a field: matching accounts to fill, password generation for new-password
+     * fields, and a link to the vault
+     */
+    getMenuItems(field) {
+        const openVault = { label: 'Open SecureVault', onSelect: () => this.openVault() };
 
-        // Auto-hide after 5 seconds
-        setTimeout(() => {
-            this.removeAutofillButton();
-        }, 5000);
+        if (this.isVaultLocked || !this.isVaultLoggedIn) {
+            return [{ label: 'SecureVault is locked', disabled: true }, { ...openVault, label: 'Unlock SecureVault' }];
+        }
+
+        const form = this.forms.find(candidate => candidate.usernameField === field || candidate.passwordFields.includes(field));
+        const items = [];
+
+        if (form && form.newPasswordFields.includes(field)) {
+            items.push({
+                label: 'Generate password',
+                detail: 'Fill a new strong password',
+                onSelect: () => this.fillGeneratedPassword(form)
+            });
+            if (this.hasGeneratedPassword) {
+                items.push({
+                    label: 'Use last generated password',
+                    detail: 'If the site rejected the form',
+                    onSelect: () => this.fillLastGeneratedPassword(form)
+                });
+            }
+        } else if (this.accounts.length) {
+            this.accounts.forEach(account => {
+                items.push({
+                    label: account.username || '(no username)',
+                    detail: account.platform,
+                    onSelect: () => this.requestAutofill(account.id)
+                });
+            });
+        } else {
+            items.push({ label: 'No saved logins for this site', disabled: true });
+        }
+
+        items.push(openVault);
+        return items;
     }
 
-    removeAutofillButton() {
-        if (this.autofillButton) {
-            this.autofillButton.remove();
-            this.autofillButton = null;
+    /**
+     * Open the account dropdown on the first fillable field (popup autofill with several accounts)
+     */
+    showAccountPicker() {
+        const field = this.getDecoratedFields().find(candidate => this.inlineMenu.icons.has(candidate));
+
+        if (field) {
+            field.focus();
+            this.inlineMenu.open(field, true);
         }
     }
 
-    requestAutofill() {
+    /**
+     * The tightest minlength, maxlength and pattern across a form's new and confirm fields
+     */
+    getPasswordConstraints(fields) {
+        return fields.reduce((constraints, field) => ({
+            minLength: Math.max(constraints.minLength, field.minLength > 0 ? field.minLength : 0),
+            maxLength: field.maxLength > 0 ? Math.min(constraints.maxLength || Infinity, field.maxLength) : constraints.maxLength,
+            pattern: constraints.pattern || field.getAttribute('pattern') || null
+        }), { minLength: 0, maxLength: 0, pattern: null });
+    }
+
+    /**
+     * Fill the new and confirm fields with one generated password that fits the fields' rules; the
+     * background keeps it for this site until the login is saved, so a rejected form loses nothing
+     */
+    async fillGeneratedPassword(form) {
+        const result = await chrome.storage.local.get('generatorSettings');
+        const password = passwordGenerator.generateForConstraints(
+            result.generatorSettings || {},
+            this.getPasswordConstraints(form.newPasswordFields)
+        );
+
+        if (!password) {
+            this.showNotification('Could not generate a password this site accepts', 'info');
+            return;
+        }
+
+        form.newPasswordFields.forEach(field => this.fillField(field, password));
+
+        try {
+            await chrome.runtime.sendMessage({
+                type: 'GENERATED_PASSWORD',
+                username: form.usernameField ? form.usernameField.value : '',
+                password: password
+            });
+            this.hasGeneratedPassword = true;
+        } catch (error) {
+            console.error('Error keeping generated password:', error);
+        }
+
+        this.showNotification('Strong password filled; SecureVault keeps it until you save this login', 'success');
+    }
+
+    /**
+     * Keyboard shortcut: generate into the focused field, plus its confirm field on a known form
+     */
+    generateIntoFocusedField() {
+        let field = document.activeElement;
+        while (field && field.shadowRoot && field.shadowRoot.activeElement) {
+            field = field.shadowRoot.activeElement; // Open shadow roots of page components
+        }
+
+        if (!(field instanceof HTMLInputElement) || !formAnalyzer.isFillable(field)) {
+            return;
+        }
+
+        const form = this.forms.find(candidate => candidate.newPasswordFields.includes(field));
+        if (form) {
+            this.fillGeneratedPassword(form);
+        } else if (field.type === 'password' || field.matches(formAnalyzer.textInputSelector)) {
+            this.fillGeneratedPassword({ newPasswordFields: [field], usernameField: null });
+        }
+    }
+
+    async fillLastGeneratedPassword(form) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_GENERATED_PASSWORD' });
+
+            if (response && response.password) {
+                form.newPasswordFields.forEach(field => this.fillField(field, response.password));
+            } else {
+                this.hasGeneratedPassword = false;
+            }
+        } catch (error) {
+            console.error('Error reading generated password:', error);
+        }
+    }
+
+    /**
+     * Catch logins on submit, on submit-button clicks and on Enter, so fetch/XHR logins that never
+     * fire a submit event are seen too
+     */
+    watchSubmissions() {
+        document.addEventListener('submit', (e) => {
+            if (e.isTrusted) {
+                this.captureSubmission(e.target);
+            }
+        }, true);
+
+        // Submit buttons only: show-password toggles and other type="button" controls are not submissions.
+        // A <button> without a type is a submit button, which covers most sign-ins outside a <form>
+        document.addEventListener('click', (e) => {
+            const button = e.isTrusted && e.target.closest &&
+                e.target.closest('button, input[type="submit"], input[type="image"]');
+            if (button && (button.type === 'submit' || button.type === 'image')) {
+                this.captureSubmission(button);
+            }
+        }, true);
+
+        document.addEventListener('keydown', (e) => {
+            if (e.isTrusted && e.key === 'Enter' && e.target instanceof HTMLInputElement) {
+                this.captureSubmission(e.target);
+            }
+        }, true);
+    }
+
+    findFormFor(element) {
+        return this.forms.find(form => form.form !== document.body && form.form.contains(element)) ||
+            (element.closest('form') ? null : this.forms.find(form => form.form === document.body)) ||
+            null;
+    }
+
+    captureSubmission(element) {
+        const form = this.findFormFor(element);
+        if (!form || form.type === 'otp') {
+            return;
+        }
+
+        // Sign-in forms submit the current password; registration and change forms the new one
+        const passwordField = form.type === 'login' || form.type === 'unknown'
+            ? form.currentPasswordFields[0]
+            : form.newPasswordFields[0];
+        if (!passwordField || !passwordField.value) {
+            return;
+        }
+
+        const submission = {
+            username: form.usernameField ? form.usernameField.value : '',
+            password: passwordField.value
+        };
+
+        // A click or Enter is usually followed by the form's own submit event
+        const last = this.lastSubmission;
+        if (last && last.username === submission.username && last.password === submission.password && Date.now() - last.at < 1000) {
+            return;
+        }
+        this.lastSubmission = { ...submission, at: Date.now() };
+
+        chrome.runtime.sendMessage({
+            type: 'CREDENTIAL_SUBMITTED',
+            ...submission
+        }).then(() => {
+            // Pages that log in without navigating: prompt once the form is gone or cleared
+            setTimeout(() => {
+                if (!passwordField.isConnected || !formAnalyzer.isFillable(passwordField) || passwordField.value !== submission.password) {
+                    this.checkSavePrompt();
+                }
+            }, 1500);
+        }).catch(() => {
+            // Background script might not be ready
+        });
+    }
+
+    async checkSavePrompt() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_SAVE_PROMPT' });
+            if (response && response.prompt) {
+                this.savePrompt.show(response.prompt);
+            }
+        } catch (error) {
+            // Background script might not be ready
+        }
+    }
+
+    async answerSavePrompt(choice) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SAVE_PROMPT_RESPONSE',
+                choice: choice
+            });
+
+            if (choice === 'save' && response && response.success) {
+                this.showNotification(response.delivered
+                    ? 'Saved to SecureVault'
+                    : 'Open and unlock SecureVault to finish saving this login', response.delivered ? 'success' : 'info');
+            }
+        } catch (error) {
+            console.error('Error answering save prompt:', error);
+        }
+    }
+
+    /**
+     * Shown in the top frame when the background wants confirmation before filling a cross-site
+     * frame or an insecure page
+     */
+    async confirmAutofill({ platform, warnings }) {
+        const confirmed = await this.savePrompt.confirm({
+            title: `Fill ${platform} login?`,
+            detail: 'SecureVault paused this autofill.',
+            warnings
+        });
+
+        chrome.runtime.sendMessage({
+            type: 'CONFIRM_AUTOFILL_RESPONSE',
+            confirmed: confirmed
+        }).catch((error) => {
+            console.error('Error confirming autofill:', error);
+        });
+    }
+
+    openVault() {
+        chrome.runtime.sendMessage({
+            type: 'POPUP_OPEN_WEBAPP'
+        }).catch((error) => {
+            console.error('Error opening SecureVault:', error);
+        });
+    }
+
+    requestAutofill(entryId = null, fill = 'both') {
         chrome.runtime.sendMessage({
             type: 'REQUEST_AUTOFILL',
-            domain: this.currentDomain
+            domain: this.currentDomain,
+            entryId: entryId,
+            fill: fill
         }).catch((error) => {
             console.error('Error requesting autofill:', error);
         });
     }
 
-    autofillPassword(passwordData) {
-        console.log('Autofilling password for:', passwordData.platform);
+    fillField(field, value) {
+        field.focus();
+        field.value = value;
+
+        // Trigger input events to notify the page
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Fill the username and current password of each fillable form; registration, OTP and the
+     * new-password fields of change-password forms are left alone
+     */
+    autofillCredentials(passwordData, fill = 'both') {
+        console.log('Autofilling credentials for:', passwordData.platform);
+
+        if (fill !== 'both') {
+            return this.fillContextField(passwordData, fill);
+        }
+
+        let filledUsername = false;
+        let filledPassword = false;
+
+        // Re-read the page so a DOM swap since the last scan is picked up
+        this.forms = formAnalyzer.analyzePage();
 
-        // Fill password fields
-        this.passwordFields.forEach(field => {
-            if (field.offsetParent !== null) { // Check if field is visible
-                field.value = passwordData.password;
-                
-                // Trigger input events to notify the page
-                field.dispatchEvent(new Event('input', { bubbles: true }));
-                field.dispatchEvent(new Event('change', { bubbles: true }));
+        this.getFillableForms().forEach(form => {
+            if (form.usernameField && passwordData.username && form.type !== 'password-change') {
+                this.fillField(form.usernameField, passwordData.username);
+                filledUsername = true;
             }
+
+            form.currentPasswordFields.forEach(field => {
+                this.fillField(field, passwordData.password);
+                filledPassword = true;
+            });
         });
 
         // Show success notification
-        this.showNotification(`Password filled for ${passwordData.platform}`, 'success');
+        if (filledPassword) {
+            this.showNotification(`Login filled for ${passwordData.platform}`, 'success');
+        } else if (filledUsername) {
+            this.showNotification(`Username filled for ${passwordData.platform}; the password fills on the next step`, 'success');
+        }
         
-        // Remove autofill button
-        this.removeAutofillButton();
+        this.inlineMenu.close();
+
+        return { filledUsername, filledPassword };
+    }
+
+    /**
+     * Context menu "Fill username" / "Fill password": only the field that was right-clicked
+     */
+    fillContextField(passwordData, fill) {
+        const field = this.contextField;
+        const value = fill === 'username' ? passwordData.username : passwordData.password;
+
+        if (!field || !field.isConnected || !formAnalyzer.isFillable(field) || !value) {
+            return { filledUsername: false, filledPassword: false };
+        }
+
+        this.fillField(field, value);
+        this.showNotification(`${fill === 'username' ? 'Username' : 'Password'} filled for ${passwordData.platform}`, 'success');
+        this.inlineMenu.close();
+
+        return { filledUsername: fill === 'username', filledPassword: fill === 'password' };
     }
 
     showNotification(message, type = 'info') {
@@ -245,11 +678,13 @@ class ContentScript {
     }
 
     updateAutofillUI() {
-        if (this.isVaultLoggedIn && this.passwordFields.length > 0) {
+        if (this.isVaultLoggedIn && this.hasFillableFields()) {
             this.checkForMatchingCredentials();
         } else {
-            this.removeAutofillButton();
+            this.accounts = [];
+            this.inlineMenu.close();
         }
+        this.updateInlineIcons();
     }
 
     observeDOM() {
@@ -0,0 +1,344 @@
+/**
+ * Crypto utility functions for password encryption/decryption
+ * Uses AES-GCM for secure encryption with user's password as key derivation source
+ * Mirrors project/crypto.js; loaded by the service worker, so the instance lives on self
+ */
+
+class CryptoUtils {
+    constructor() {
+        this.algorithm = 'AES-GCM';
+        this.keyLength = 256;
+        this.ivLength = 12; // 96 bits recommended for GCM
+        this.saltLength = 16;
+        this.tagLength = 16;
+        this.iterations = 100000; // PBKDF2 iterations
+        this.hash = 'SHA-256';
+        this.kdfName = 'PBKDF2';
+        this.formatVersion = 1; // Ciphertext envelope version written by encrypt()
+    }
+
+    /**
+     * KDF parameters used for new ciphertext
+     */
+    getKdfParams() {
+        return {
+            name: this.kdfName,
+            hash: this.hash,
+            iterations: this.iterations
+        };
+    }
+
+    /**
+     * Convert bytes to base64 without spreading large arrays onto the stack
+     */
+    bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Convert base64 string back to bytes
+     */
+    base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    }
+
+    /**
+     * Generate cryptographically secure random bytes
+     */
+    generateRandomBytes(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    /**
+     * Derive encryption key from password using PBKDF2
+     * kdfParams defaults to the current parameters; pass the ones from an envelope header to read old data
+     */
+    async deriveKey(password, salt, kdfParams = this.getKdfParams()) {
+        const encoder = new TextEncoder();
+        const passwordBuffer = encoder.encode(password);
+        
+        // Import password as key material
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            passwordBuffer,
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        if (kdfParams.name !== 'PBKDF2') {
+            throw new Error(`Unsupported KDF: ${kdfParams.name}`);
+        }
+
+        // Derive AES key
+        return await crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: salt,
+                iterations: kdfParams.iterations,
+                hash: kdfParams.hash
+            },
+            keyMaterial,
+            {
+                name: this.algorithm,
+                length: this.keyLength
+            },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Derive a session key once so the vault can be saved and read without the plaintext password
+     * The key is non-extractable and bound to the salt and KDF parameters written into every envelope
+     */
+    async createSessionKey(password, salt = this.generateRandomBytes(this.saltLength), kdfParams = this.getKdfParams()) {
+        const key = await this.deriveKey(password, salt, kdfParams);
+
+        return {
+            key: key,
+            salt: salt,
+            kdf: {
+                name: kdfParams.name,
+                hash: kdfParams.hash,
+                iterations: kdfParams.iterations
+            }
+        };
+    }
+
+    /**
+     * Derive a session key matching the salt and KDF parameters of existing ciphertext
+     */
+    async createSessionKeyForData(password, encryptedData) {
+        const envelope = this.parseEnvelope(encryptedData);
+        return this.createSessionKey(password, envelope.salt, envelope.kdf);
+    }
+
+    /**
+     * Encrypt data using AES-GCM with a session key
+     * Returns a JSON envelope carrying the format version, KDF parameters, salt and IV
+     */
+    async encryptWithKey(plaintext, session) {
+        try {
+            const encoder = new TextEncoder();
+            const data = encoder.encode(plaintext);
+            
+            // Fresh IV for every encryption under the same key
+            const iv = this.generateRandomBytes(this.ivLength);
+            
+            // Encrypt data
+            const encryptedBuffer = await crypto.subtle.encrypt(
+                {
+                    name: this.algorithm,
+                    iv: iv
+                },
+                session.key,
+                data
+            );
+            
+            return JSON.stringify({
+                v: this.formatVersion,
+                kdf: {
+                    ...session.kdf,
+                    salt: this.bytesToBase64(session.salt)
+                },
+                cipher: {
+                    name: this.algorithm,
+                    iv: this.bytesToBase64(iv)
+                },
+                data: this.bytesToBase64(new Uint8Array(encryptedBuffer))
+            });
+        } catch (error) {
+            console.error('Encryption error:', error);
+            throw new Error('Failed to encrypt data');
+        }
+    }
+
+    /**
+     * Encrypt data using AES-GCM with a one-off key derived from password
+     */
+    async encrypt(plaintext, password) {
+        const session = await this.createSessionKey(password);
+        return this.encryptWithKey(plaintext, session);
+    }
+
+    /**
+     * Parse stored ciphertext into its header fields and raw bytes
+     * Headerless blobs (salt + IV + ciphertext as bare base64) are read as version 0
+     */
+    parseEnvelope(encryptedData) {
+        if (encryptedData.trim().startsWith('{')) {
+            const envelope = JSON.parse(encryptedData);
+
+            if (!envelope.v || envelope.v > this.formatVersion) {
+                throw new Error(`Unsupported envelope version: ${envelope.v}`);
+            }
+
+            return {
+                version: envelope.v,
+                kdf: {
+                    name: envelope.kdf.name,
+                    hash: envelope.kdf.hash,
+                    iterations: envelope.kdf.iterations
+                },
+                algorithm: envelope.cipher.name,
+                salt: this.base64ToBytes(envelope.kdf.salt),
+                iv: this.base64ToBytes(envelope.cipher.iv),
+                encrypted: this.base64ToBytes(envelope.data)
+            };
+        }
+
+        // Legacy format written before envelopes existed
+        const data = this.base64ToBytes(encryptedData);
+        return {
+            version: 0,
+            kdf: {
+                name: 'PBKDF2',
+                hash: 'SHA-256',
+                iterations: 100000
+            },
+            algorithm: 'AES-GCM',
+            salt: data.slice(0, this.saltLength),
+            iv: data.slice(this.saltLength, this.saltLength + this.ivLength),
+            encrypted: data.slice(this.saltLength + this.ivLength)
+        };
+    }
+
+    /**
+     * Check whether stored ciphertext was written with an older format or weaker parameters
+     */
+    needsUpgrade(encryptedData) {
+        try {
+            const envelope = this.parseEnvelope(encryptedData);
+            const current = this.getKdfParams();
+
+            return envelope.version < this.formatVersion ||
+                   envelope.algorithm !== this.algorithm ||
+                   envelope.kdf.name !== current.name ||
+                   envelope.kdf.hash !== current.hash ||
+                   envelope.kdf.iterations < current.iterations;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Decrypt data using AES-GCM with a session key
+     * The envelope must have been written under the same salt and KDF parameters as the session
+     */
+    async decryptWithKey(encryptedData, session) {
+        try {
+            const envelope = this.parseEnvelope(encryptedData);
+
+            if (envelope.algorithm !== 'AES-GCM') {
+                throw new Error(`Unsupported algorithm: ${envelope.algorithm}`);
+            }
+
+            if (this.bytesToBase64(envelope.salt) !== this.bytesToBase64(session.salt) ||
+                envelope.kdf.iterations !== session.kdf.iterations ||
+                envelope.kdf.hash !== session.kdf.hash) {
+                throw new Error('Session key does not match ciphertext parameters');
+            }
+            
+            // Decrypt data
+            const decryptedBuffer = await crypto.subtle.decrypt(
+                {
+                    name: envelope.algorithm,
+                    iv: envelope.iv
+                },
+                session.key,
+                envelope.encrypted
+            );
+            
+            // Convert back to string
+            const decoder = new TextDecoder();
+            return decoder.decode(decryptedBuffer);
+        } catch (error) {
+            console.error('Decryption error:', error);
+            throw new Error('Failed to decrypt data - invalid password or corrupted data');
+        }
+    }
+
+    /**
+     * Decrypt data using AES-GCM with a one-off key derived from password
+     * KDF and cipher parameters are taken from the envelope header
+     */
+    async decrypt(encryptedData, password) {
+        let session;
+        try {
+            session = await this.createSessionKeyForData(password, encryptedData);
+        } catch (error) {
+            console.error('Decryption error:', error);
+            throw new Error('Failed to decrypt data - invalid password or corrupted data');
+        }
+        return this.decryptWithKey(encryptedData, session);
+    }
+
+    /**
+     * Hash password for authentication (separate from encryption key derivation)
+     */
+    async hashPassword(password, salt = null) {
+        const encoder = new TextEncoder();
+        const data = encoder.encode(password);
+        
+        // Generate salt if not provided
+        if (!salt) {
+            salt = this.generateRandomBytes(this.saltLength);
+        }
+        
+        // Import password as key material
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            data,
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+        
+        // Derive hash
+        const hashBuffer = await crypto.subtle.deriveBits(
+            {
+                name: 'PBKDF2',
+                salt: salt,
+                iterations: this.iterations,
+                hash: 'SHA-256'
+            },
+            keyMaterial,
+            256
+        );
+        
+        const hash = new Uint8Array(hashBuffer);
+        const result = new Uint8Array(salt.length + hash.length);
+        result.set(salt, 0);
+        result.set(hash, salt.length);
+        
+        return btoa(String.fromCharCode(...result));
+    }
+
+    /**
+     * Verify password against stored hash
+     */
+    async verifyPassword(password, storedHash) {
+        try {
+            // Extract salt from stored hash
+            const hashData = Uint8Array.from(atob(storedHash), c => c.charCodeAt(0));
+            const salt = hashData.slice(0, this.saltLength);
+            
+            // Hash the provided password with the same salt
+            const computedHash = await this.hashPassword(password, salt);
+            
+            // Compare hashes
+            return computedHash === storedHash;
+        } catch (error) {
+            console.error('Password verification error:', error);
+            return false;
+        }
+    }
+}
+
+// Global instance
+self.cryptoUtils = new CryptoUtils();
\ No newline at end of file
@@ -0,0 +1,269 @@
+/**
+ * Form analysis for the content script
+ * Scores forms and fields from autocomplete, labels, aria attributes, field order and submit text,
+ * and classifies each form as login, registration, password change or OTP
+ */
+
+class FormAnalyzer {
+    /**
+     * options.isVisible(field) replaces the layout-based visibility check, e.g. under jsdom,
+     * where nothing has an offsetParent
+     */
+    constructor(options = {}) {
+        this.isVisible = options.isVisible || (field => field.offsetParent !== null);
+        this.textInputSelector = 'input:not([type]), input[type="text"], input[type="email"], input[type="tel"], input[type="number"]';
+        this.patterns = {
+            username: /user.?name|e-?mail|login|account|identifier|userid|member|phone|mobile/,
+            currentPassword: /current|old|existing|actual/,
+            newPassword: /new|create|choose|set.?password/,
+            confirmPassword: /confirm|repeat|retype|re-?enter|again|verify|verification/,
+            otp: /otp|one.?time|2fa|two.?factor|mfa|totp|passcode|verification.?code|security.?code|auth.*code|sms.?code/,
+            loginAction: /log.?in|sign.?in|log.?on/,
+            // Only count toward login on a form that already has a login hint
+            nextAction: /continue|next|enter/,
+            registerAction: /sign.?up|register|registration|create.*account|join|get.?started/,
+            changeAction: /change|update|reset|new.?password/,
+            otpAction: /verify|confirm|submit.?code|authenticate/,
+            registerField: /first.?name|last.?name|full.?name|birth|terms|agree|newsletter/
+        };
+    }
+
+    /**
+     * Visible, enabled and editable
+     */
+    isFillable(field) {
+        return this.isVisible(field) && !field.disabled && !field.readOnly;
+    }
+
+    /**
+     * Everything that describes a field, lowercased: attributes, autocomplete, labels and aria text
+     */
+    describeField(field) {
+        const parts = [
+            field.name, field.id, field.placeholder, field.title,
+            field.getAttribute('autocomplete'), field.getAttribute('aria-label')
+        ];
+
+        if (field.labels) {
+            Array.from(field.labels).forEach(label => parts.push(label.textContent));
+        }
+
+        const labelledBy = field.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            labelledBy.split(/\s+/).forEach(id => {
+                const label = document.getElementById(id);
+                if (label) {
+                    parts.push(label.textContent);
+                }
+            });
+        }
+
+        return parts.filter(Boolean).join(' ').toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    autocompleteTokens(field) {
+        return (field.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+    }
+
+    /**
+     * Text of the buttons, headings and attributes around a form, used to tell its purpose
+     */
+    describeForm(container) {
+        const parts = [];
+
+        if (container !== document.body) {
+            parts.push(container.id, container.getAttribute('name'), container.getAttribute('action'), container.className);
+        }
+
+        container.querySelectorAll('button, input[type="submit"], input[type="button"], [role="button"], h1, h2, h3, legend')
+            .forEach(element => parts.push(element.textContent || element.value));
+
+        return parts.filter(value => typeof value === 'string' && value).join(' ').toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Forms plus one group for inputs outside any form
+     */
+    findContainers(root) {
+        const containers = new Set();
+
+        root.querySelectorAll(`input[type="password"], ${this.textInputSelector}`).forEach(field => {
+            if (this.isFillable(field)) {
+                containers.add(field.form || field.closest('[role="form"]') || document.body);
+            }
+        });
+
+        return Array.from(containers);
+    }
+
+    analyzePage(root = document) {
+        return this.findContainers(root)
+            .map(container => this.analyzeForm(container))
+            .filter(analysis => analysis.type !== 'none');
+    }
+
+    /**
+     * Classify one form and pick out its username, password and one-time-code fields
+     */
+    analyzeForm(container) {
+        const ownFields = (selector) => Array.from(container.querySelectorAll(selector))
+            .filter(field => this.isFillable(field) && (container === document.body ? !field.form : true));
+
+        const passwordInputs = ownFields('input[type="password"]');
+        const textInputs = ownFields(this.textInputSelector);
+        const formText = this.describeForm(container);
+
+        const passwordFields = this.classifyPasswordFields(passwordInputs).map((role, index) => ({
+            field: passwordInputs[index],
+            role
+        }));
+        const otpFields = textInputs.filter(field => this.scoreOtpField(field) >= 2);
+        const usernameField = this.findUsernameField(
+            textInputs.filter(field => !otpFields.includes(field)),
+            passwordInputs[0]
+        );
+
+        const scores = this.scoreFormTypes({ passwordFields, otpFields, usernameField, textInputs, formText, container });
+        // The sort is stable, so ties go to the type listed first: registration
+        const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+        const type = score > 0 ? best : (passwordFields.length ? 'unknown' : 'none');
+        // Every password on a registration form is a new one, whatever its label says
+        const isCurrent = (item) => type !== 'registration' && item.role === 'current';
+
+        return {
+            form: container,
+            type,
+            scores,
+            usernameField,
+            currentPasswordFields: passwordFields.filter(isCurrent).map(item => item.field),
+            newPasswordFields: passwordFields.filter(item => !isCurrent(item)).map(item => item.field),
+            passwordFields: passwordInputs,
+            otpFields
+        };
+    }
+
+    /**
+     * Roles for a form's password fields in document order. A field with no hint of its own is
+     * a new password when a confirm field follows it ("Password" + "Confirm password"), else current
+     */
+    classifyPasswordFields(fields) {
+        const roles = fields.map(field => this.classifyPasswordField(field));
+
+        return roles.map((role, index) => {
+            if (role) {
+                return role;
+            }
+            return roles.slice(index + 1).includes('confirm') ? 'new' : 'current';
+        });
+    }
+
+    /**
+     * 'current', 'new', 'confirm' or null when nothing says; autocomplete hints win over labels
+     */
+    classifyPasswordField(field) {
+        const tokens = this.autocompleteTokens(field);
+        if (tokens.includes('current-password')) {
+            return 'current';
+        }
+
+        const text = this.describeField(field);
+        if (this.patterns.confirmPassword.test(text)) {
+            return 'confirm';
+        }
+        if (tokens.includes('new-password') || this.patterns.newPassword.test(text)) {
+            return 'new';
+        }
+        if (this.patterns.currentPassword.test(text)) {
+            return 'current';
+        }
+
+        return null;
+    }
+
+    scoreOtpField(field) {
+        const tokens = this.autocompleteTokens(field);
+        let score = 0;
+
+        if (tokens.includes('one-time-code')) score += 3;
+        if (this.patterns.otp.test(this.describeField(field))) score += 2;
+        if (field.maxLength > 0 && field.maxLength <= 8 && (field.inputMode === 'numeric' || field.type === 'number' || field.type === 'tel')) score += 1;
+
+        return score;
+    }
+
+    /**
+     * The best-scoring text input; fields just before the first password field get a bonus
+     */
+    findUsernameField(textInputs, firstPasswordField) {
+        let best = null;
+        let bestScore = 0;
+
+        textInputs.forEach(field => {
+            const tokens = this.autocompleteTokens(field);
+            let score = 0;
+
+            if (tokens.includes('username') || tokens.includes('email')) score += 3;
+            if (field.type === 'email') score += 2;
+            if (this.patterns.username.test(this.describeField(field))) score += 2;
+            if (this.patterns.registerField.test(this.describeField(field))) score -= 3;
+            if (firstPasswordField && (field.compareDocumentPosition(firstPasswordField) & Node.DOCUMENT_POSITION_FOLLOWING)) {
+                score += 1;
+            }
+
+            // Later candidates win ties, so the field nearest the password is chosen
+            if (score > 0 && score >= bestScore) {
+                best = field;
+                bestScore = score;
+            }
+        });
+
+        return bestScore >= 2 || (best && firstPasswordField) ? best : null;
+    }
+
+    scoreFormTypes({ passwordFields, otpFields, usernameField, textInputs, formText, container }) {
+        const roles = passwordFields.map(item => item.role);
+        const current = roles.filter(role => role === 'current').length;
+        const fresh = roles.filter(role => role !== 'current').length;
+        const extraFields = textInputs.filter(field => this.patterns.registerField.test(this.describeField(field))).length +
+            container.querySelectorAll('input[type="checkbox"]').length;
+        const scores = { registration: 0, login: 0, 'password-change': 0, otp: 0 };
+
+        // Login: one current password, or a username-only first step. A lone email field is also
+        // a newsletter or checkout form, so without a password it needs sign-in wording or hints
+        const loginHint = this.patterns.loginAction.test(formText) ||
+            (usernameField && this.autocompleteTokens(usernameField).includes('username')) ||
+            passwordFields.some(item => this.autocompleteTokens(item.field).includes('current-password'));
+        if (passwordFields.length === 1 && current === 1) scores.login += 3;
+        if (!passwordFields.length && usernameField && !otpFields.length && loginHint) scores.login += 2;
+        if (this.patterns.loginAction.test(formText)) scores.login += 2;
+        if (loginHint && this.patterns.nextAction.test(formText)) scores.login += 1;
+
+        // Registration: new passwords without a current one, extra profile fields
+        if (fresh && !current) scores.registration += 3;
+        if (roles.includes('confirm') && !current) scores.registration += 1;
+        // Profile fields alone are a checkout or contact form, not a signup
+        if (extraFields && (passwordFields.length || this.patterns.registerAction.test(formText))) scores.registration += 1;
+        if (this.patterns.registerAction.test(formText)) scores.registration += 3;
+
+        // Password change: a current password alongside new ones
+        if (current && fresh) scores['password-change'] += 4;
+        if (passwordFields.length >= 3) scores['password-change'] += 2;
+        if (this.patterns.changeAction.test(formText) && passwordFields.length) scores['password-change'] += 2;
+        // Reset: only new passwords, no username, and reset or change wording
+        if (fresh && !current && !usernameField && this.patterns.changeAction.test(formText)) scores['password-change'] += 3;
+
+        // One-time code: code fields and no passwords
+        if (otpFields.length && !passwordFields.length) scores.otp += 4;
+        if (otpFields.length && this.patterns.otpAction.test(formText)) scores.otp += 1;
+
+        // Forms with no credential fields at all are not ours to classify
+        if (!passwordFields.length && !usernameField && !otpFields.length) {
+            Object.keys(scores).forEach(key => { scores[key] = 0; });
+        }
+
+        return scores;
+    }
+}
+
+// Global instance
+window.formAnalyzer = new FormAnalyzer();
@@ -0,0 +1,203 @@
+/**
+ * Password and passphrase generator
+ * Uses crypto.getRandomValues with rejection sampling so every character and word is equally likely
+ * Mirrors project/generator.js; keep the two copies in sync
+ */
+
+class PasswordGenerator {
+    constructor() {
+        this.charsets = {
+            lowercase: 'abcdefghijklmnopqrstuvwxyz',
+            uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+            digits: '0123456789',
+            symbols: '!@#$%^&*()-_=+[]{};:,.<>?/~'
+        };
+        this.lookAlikes = 'Il1|O0o';
+        this.defaults = {
+            mode: 'password', // 'password' or 'passphrase'
+            length: 20,
+            lowercase: true,
+            uppercase: true,
+            digits: true,
+            symbols: true,
+            excludeLookAlikes: false,
+            words: 5,
+            separator: '-',
+            capitalize: false,
+            includeNumber: false
+        };
+        this.minLength = 8;
+        this.maxLength = 128;
+    }
+
+    /**
+     * Uniform random integer in [0, max) without modulo bias
+     */
+    randomInt(max) {
+        const limit = Math.floor(0x100000000 / max) * max;
+        const buffer = new Uint32Array(1);
+
+        do {
+            crypto.getRandomValues(buffer);
+        } while (buffer[0] >= limit);
+
+        return buffer[0] % max;
+    }
+
+    randomItem(items) {
+        return items[this.randomInt(items.length)];
+    }
+
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = this.randomInt(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    /**
+     * Generate a password or passphrase from options merged over the defaults
+     */
+    generate(options = {}) {
+        const settings = { ...this.defaults, ...options };
+        return settings.mode === 'passphrase'
+            ? this.generatePassphrase(settings)
+            : this.generatePassword(settings);
+    }
+
+    /**
+     * Character pools for the selected classes, with look-alikes removed if requested
+     */
+    getPools(settings) {
+        return ['lowercase', 'uppercase', 'digits', 'symbols']
+            .filter(name => settings[name])
+            .map(name => {
+                let chars = this.charsets[name];
+                if (settings.excludeLookAlikes) {
+                    chars = chars.split('').filter(c => !this.lookAlikes.includes(c)).join('');
+                }
+                return chars;
+            })
+            .filter(chars => chars.length > 0);
+    }
+
+    generatePassword(settings) {
+        const length = Math.min(this.maxLength, Math.max(this.minLength, parseInt(settings.length, 10) || this.defaults.length));
+        const pools = this.getPools(settings);
+
+        if (pools.length === 0) {
+            throw new Error('Select at least one character type');
+        }
+
+        return this.buildPassword(pools, length);
+    }
+
+    /**
+     * One character from every pool, the rest from the combined pool, shuffled
+     */
+    buildPassword(pools, length) {
+        const allChars = pools.join('');
+        const chars = pools.map(pool => this.randomItem(pool));
+        while (chars.length < length) {
+            chars.push(this.randomItem(allChars));
+        }
+
+        return this.shuffle(chars).join('');
+    }
+
+    /**
+     * Generate a password a form field will accept: honours its minlength, maxlength and pattern,
+     * dropping symbols and then other classes if the pattern rejects them; null if nothing matches.
+     * The generator's own length cap gives way to a field that requires more
+     */
+    generateForConstraints(options = {}, constraints = {}) {
+        const settings = { ...this.defaults, ...options };
+        const minLength = Math.max(constraints.minLength || 0, 1);
+        const maxLength = constraints.maxLength > 0 ? constraints.maxLength : Math.max(this.maxLength, minLength);
+        const pattern = this.compilePattern(constraints.pattern);
+
+        if (minLength > maxLength) {
+            return null;
+        }
+
+        // Passphrases only when no pattern constrains the shape
+        if (settings.mode === 'passphrase' && !pattern) {
+            const phrase = this.generatePassphrase(settings);
+            if (phrase.length >= minLength && phrase.length <= maxLength) {
+                return phrase;
+            }
+        }
+
+        const length = Math.min(maxLength, Math.max(minLength, this.minLength, parseInt(settings.length, 10) || this.defaults.length));
+        // Patterns often cap the length too, so shorter lengths are tried after the preferred one
+        const lengths = [length, ...[32, 24, 16, 12, 10, 8, 6, 4].filter(value => value < length && value >= minLength)];
+        const attempts = [
+            settings,
+            { ...settings, symbols: false },
+            { lowercase: true, uppercase: true, digits: true },
+            { lowercase: true, digits: true },
+            { digits: true }
+        ];
+
+        for (const candidateLength of lengths) {
+            for (const classes of attempts) {
+                const pools = this.getPools({ ...classes, excludeLookAlikes: settings.excludeLookAlikes });
+                if (!pools.length || pools.length > candidateLength) {
+                    continue;
+                }
+
+                for (let i = 0; i < 25; i++) {
+                    const password = this.buildPassword(pools, candidateLength);
+                    if (!pattern || pattern.test(password)) {
+                        return password;
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Compile a pattern attribute the way browsers do: anchored, with the v flag (u in older versions)
+     */
+    compilePattern(pattern) {
+        if (!pattern) {
+            return null;
+        }
+
+        for (const flags of ['v', 'u', '']) {
+            try {
+                return new RegExp(`^(?:${pattern})$`, flags);
+            } catch (error) {
+                // Try the next flag
+            }
+        }
+
+        return null;
+    }
+
+    generatePassphrase(settings) {
+        const count = Math.min(20, Math.max(3, parseInt(settings.words, 10) || this.defaults.words));
+        const words = [];
+
+        for (let i = 0; i < count; i++) {
+            let word = this.randomItem(DICEWARE_WORDLIST);
+            if (settings.capitalize) {
+                word = word.charAt(0).toUpperCase() + word.slice(1);
+            }
+            words.push(word);
+        }
+
+        if (settings.includeNumber) {
+            const index = this.randomInt(words.length);
+            words[index] += this.randomInt(10);
+        }
+
+        return words.join(settings.separator);
+    }
+}
+
+// Global instance
+window.passwordGenerator = new PasswordGenerator();
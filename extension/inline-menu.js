@@ -0,0 +1,306 @@
+/**
+ * In-field autofill icon and dropdown for the content script
+ * Rendered in a closed Shadow DOM so page styles and scripts cannot restyle, read or click it
+ */
+
+class InlineMenu {
+    /**
+     * getItems(field) returns the dropdown entries for a field:
+     * { label, detail, onSelect } or { label, disabled: true }
+     */
+    constructor(getItems) {
+        this.getItems = getItems;
+        this.icons = new Map(); // Field -> icon button
+        this.openField = null;
+        this.host = null;
+        this.shadow = null;
+        this.menu = null;
+        this.repositionQueued = false;
+
+        this.onFieldKeydown = this.onFieldKeydown.bind(this);
+        this.onDocumentMousedown = this.onDocumentMousedown.bind(this);
+        this.queueReposition = this.queueReposition.bind(this);
+    }
+
+    createHost() {
+        if (this.host && this.host.isConnected) {
+            return;
+        }
+
+        this.host = document.createElement('securevault-inline');
+        // Inline !important beats any page rule aimed at the host element
+        this.host.style.setProperty('all', 'initial', 'important');
+        this.host.style.setProperty('position', 'fixed', 'important');
+        this.host.style.setProperty('top', '0', 'important');
+        this.host.style.setProperty('left', '0', 'important');
+        this.host.style.setProperty('z-index', '2147483647', 'important');
+
+        this.shadow = this.host.attachShadow({ mode: 'closed' });
+        this.shadow.innerHTML = `
+            <style>
+                :host { all: initial; }
+                .icon {
+                    position: fixed;
+                    width: 20px;
+                    height: 20px;
+                    padding: 2px;
+                    border: none;
+                    border-radius: 4px;
+                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                    color: white;
+                    cursor: pointer;
+                    box-sizing: border-box;
+                    opacity: 0.85;
+                }
+                .icon:hover, .icon:focus-visible { opacity: 1; outline: 2px solid #667eea; outline-offset: 1px; }
+                .icon svg { width: 16px; height: 16px; fill: currentColor; display: block; }
+                .menu {
+                    position: fixed;
+                    min-width: 240px;
+                    max-width: 320px;
+                    padding: 4px 0;
+                    background: white;
+                    border-radius: 8px;
+                    box-shadow: 0 4px 15px rgba(0,0,0,0.25);
+                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                    font-size: 14px;
+                    color: #333;
+                }
+                .item {
+                    display: block;
+                    width: 100%;
+                    padding: 8px 14px;
+                    border: none;
+                    background: none;
+                    color: inherit;
+                    font: inherit;
+                    text-align: left;
+                    cursor: pointer;
+                }
+                .item:hover, .item:focus { background: #f0f2ff; outline: none; }
+                .item[aria-disabled="true"] { color: #999; cursor: default; background: none; }
+                .item .detail { display: block; font-size: 12px; color: #777; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+                .item .label { display: block; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+            </style>
+        `;
+
+        document.documentElement.appendChild(this.host);
+        window.addEventListener('scroll', this.queueReposition, true);
+        window.addEventListener('resize', this.queueReposition);
+    }
+
+    /**
+     * Decorate exactly these fields with an icon, removing icons from fields no longer listed
+     */
+    attach(fields) {
+        const wanted = new Set(fields);
+
+        this.icons.forEach((icon, field) => {
+            if (!wanted.has(field) || !field.isConnected) {
+                icon.remove();
+                field.removeEventListener('keydown', this.onFieldKeydown);
+                this.icons.delete(field);
+                if (this.openField === field) {
+                    this.close();
+                }
+            }
+        });
+
+        if (!wanted.size) {
+            return;
+        }
+
+        this.createHost();
+
+        wanted.forEach(field => {
+            if (this.icons.has(field)) {
+                return;
+            }
+
+            const icon = document.createElement('button');
+            icon.type = 'button';
+            icon.className = 'icon';
+            icon.tabIndex = -1; // Keyboard users open the menu with Alt+Down from the field
+            icon.title = 'SecureVault (Alt+Down)';
+            icon.setAttribute('aria-label', 'Open SecureVault menu');
+            icon.setAttribute('aria-haspopup', 'menu');
+            icon.innerHTML = '<svg viewBox="0 0 24 24"><path d="M7,14A2,2 0 0,1 5,12A2,2 0 0,1 7,10A2,2 0 0,1 9,12A2,2 0 0,1 7,14M12.65,10C11.83,7.67 9.61,6 7,6A6,6 0 0,0 1,12A6,6 0 0,0 7,18C9.61,18 11.83,16.33 12.65,14H17V18H21V14H23V10H12.65Z"/></svg>';
+            icon.addEventListener('mousedown', (e) => e.preventDefault()); // Keep focus in the field
+            icon.addEventListener('click', (e) => {
+                if (!e.isTrusted) {
+                    return;
+                }
+                this.openField === field ? this.close() : this.open(field);
+            });
+
+            field.addEventListener('keydown', this.onFieldKeydown);
+            this.shadow.appendChild(icon);
+            this.icons.set(field, icon);
+        });
+
+        this.reposition();
+    }
+
+    onFieldKeydown(e) {
+        if (e.isTrusted && e.altKey && e.key === 'ArrowDown') {
+            e.preventDefault();
+            this.open(e.currentTarget, true);
+        }
+    }
+
+    /**
+     * Open the dropdown under a field; focusFirst moves keyboard focus into it
+     */
+    open(field, focusFirst = false) {
+        this.close();
+        this.createHost();
+
+        const items = this.getItems(field);
+        if (!items.length) {
+            return;
+        }
+
+        this.openField = field;
+        this.menu = document.createElement('div');
+        this.menu.className = 'menu';
+        this.menu.setAttribute('role', 'menu');
+        this.menu.setAttribute('aria-label', 'SecureVault');
+
+        items.forEach(item => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'item';
+            button.setAttribute('role', 'menuitem');
+            button.tabIndex = -1;
+
+            // Page-derived values go in as text, never markup
+            const label = document.createElement('span');
+            label.className = 'label';
+            label.textContent = item.label;
+            button.appendChild(label);
+
+            if (item.detail) {
+                const detail = document.createElement('span');
+                detail.className = 'detail';
+                detail.textContent = item.detail;
+                button.appendChild(detail);
+            }
+
+            if (item.disabled) {
+                button.setAttribute('aria-disabled', 'true');
+            } else {
+                button.addEventListener('click', (e) => {
+                    if (!e.isTrusted) {
+                        return;
+                    }
+                    this.close();
+                    item.onSelect();
+                });
+            }
+
+            this.menu.appendChild(button);
+        });
+
+        this.menu.addEventListener('keydown', (e) => this.onMenuKeydown(e));
+        this.shadow.appendChild(this.menu);
+        document.addEventListener('mousedown', this.onDocumentMousedown, true);
+        this.reposition();
+
+        if (focusFirst) {
+            this.focusItem(0);
+        }
+    }
+
+    close() {
+        if (this.menu) {
+            this.menu.remove();
+            this.menu = null;
+        }
+        this.openField = null;
+        document.removeEventListener('mousedown', this.onDocumentMousedown, true);
+    }
+
+    focusItem(index) {
+        const items = Array.from(this.menu.querySelectorAll('.item'));
+        if (items.length) {
+            items[(index + items.length) % items.length].focus();
+        }
+    }
+
+    onMenuKeydown(e) {
+        if (!e.isTrusted) {
+            return;
+        }
+
+        const items = Array.from(this.menu.querySelectorAll('.item'));
+        const current = items.indexOf(this.shadow.activeElement);
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.focusItem(current + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.focusItem(current - 1);
+                break;
+            case 'Home':
+                e.preventDefault();
+                this.focusItem(0);
+                break;
+            case 'End':
+                e.preventDefault();
+                this.focusItem(items.length - 1);
+                break;
+            case 'Escape':
+            case 'Tab': {
+                e.preventDefault();
+                const field = this.openField;
+                this.close();
+                field.focus();
+                break;
+            }
+        }
+    }
+
+    onDocumentMousedown(e) {
+        // Clicks inside the shadow root are retargeted to the host
+        if (e.target !== this.host) {
+            this.close();
+        }
+    }
+
+    queueReposition() {
+        if (this.repositionQueued) {
+            return;
+        }
+        this.repositionQueued = true;
+        requestAnimationFrame(() => {
+            this.repositionQueued = false;
+            this.reposition();
+        });
+    }
+
+    /**
+     * Pin each icon inside the right edge of its field and the menu under the open field
+     */
+    reposition() {
+        this.icons.forEach((icon, field) => {
+            const rect = field.getBoundingClientRect();
+            const visible = field.offsetParent !== null && rect.width > 30 && rect.height > 0 &&
+                rect.bottom > 0 && rect.top < window.innerHeight;
+
+            icon.style.display = visible ? 'block' : 'none';
+            if (visible) {
+                icon.style.left = `${rect.right - 26}px`;
+                icon.style.top = `${rect.top + (rect.height - 20) / 2}px`;
+            }
+        });
+
+        if (this.menu && this.openField) {
+            const rect = this.openField.getBoundingClientRect();
+            this.menu.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - 244))}px`;
+            this.menu.style.top = `${rect.bottom + 4}px`;
+        }
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Offscreen document for the SecureVault service worker
+ * Writes copied credentials to the clipboard and clears them after the configured time,
+ * only if the clipboard still holds them; it outlives the popup that asked for the copy
+ */
+
+class ClipboardKeeper {
+    constructor() {
+        this.value = null; // What we last copied, until it is cleared
+        this.timer = null;
+        this.textarea = document.getElementById('clipboard');
+
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            // Every runtime message reaches this page; only answer the ones meant for it
+            if (message.target !== 'offscreen') {
+                return false;
+            }
+
+            this.handleMessage(message);
+            sendResponse({ success: true });
+            return false;
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'OFFSCREEN_COPY':
+                this.copy(message.text, message.clearAfterSeconds);
+                break;
+
+            case 'OFFSCREEN_CLEAR':
+                this.clear();
+                break;
+        }
+    }
+
+    copy(text, clearAfterSeconds) {
+        clearTimeout(this.timer);
+        this.write(text);
+        this.value = text;
+
+        if (clearAfterSeconds > 0) {
+            this.timer = setTimeout(() => this.clear(), clearAfterSeconds * 1000);
+        }
+    }
+
+    /**
+     * Offscreen documents never have focus, so the async Clipboard API is unavailable here
+     */
+    read() {
+        this.textarea.value = '';
+        this.textarea.focus();
+        document.execCommand('paste');
+        return this.textarea.value;
+    }
+
+    write(text) {
+        const onCopy = (e) => {
+            e.clipboardData.setData('text/plain', text);
+            e.preventDefault();
+        };
+
+        document.addEventListener('copy', onCopy);
+        document.execCommand('copy');
+        document.removeEventListener('copy', onCopy);
+    }
+
+    clear() {
+        clearTimeout(this.timer);
+
+        if (this.value !== null && this.read() === this.value) {
+            this.write('');
+        }
+        this.value = null;
+        this.textarea.value = '';
+
+        chrome.runtime.sendMessage({ type: 'CLIPBOARD_CLEARED' }).catch(() => {
+            // Service worker unavailable; the page just stays open for the next copy
+        });
+    }
+}
+
+// Global instance
+const clipboardKeeper = new ClipboardKeeper();
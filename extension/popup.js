@@ -8,9 +8,16 @@ class PopupController {
         this.currentTab = null;
         this.vaultStatus = {
             isLoggedIn: false,
+            isLocked: false,
             userEmail: null,
             entriesCount: 0
         };
+        this.siteAccounts = [];
+        this.generatorSettings = { ...passwordGenerator.defaults };
+        this.entries = []; // Vault entries without passwords
+        this.selectedEntry = null; // Entry open in the details view, with its password
+        this.editingEntryId = null;
+        this.clipboardNoticeTimer = null;
         
         this.init();
     }
@@ -18,8 +25,11 @@ class PopupController {
     async init() {
         await this.getCurrentTab();
         await this.loadVaultStatus();
+        await this.loadGeneratorSettings();
         this.setupEventListeners();
         this.updateUI();
+        this.renderGenerator();
+        this.renderShortcuts();
     }
 
     async getCurrentTab() {
@@ -51,12 +61,224 @@ class PopupController {
             this.openWebApp();
         });
 
+        // chrome:// pages can't be linked to, only opened as a tab
+        document.getElementById('edit-shortcuts-btn').addEventListener('click', () => {
+            chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+        });
+
         // Autofill button
         document.getElementById('autofill-btn').addEventListener('click', () => {
-            this.requestAutofill();
+            if (this.siteAccounts.length === 1) {
+                this.requestAutofill(this.siteAccounts[0].id);
+            }
+        });
+
+        // Lock button
+        document.getElementById('lock-btn').addEventListener('click', () => {
+            this.lockVault();
+        });
+
+        // Unlock with the master password
+        document.getElementById('unlock-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.unlockVault();
+        });
+
+        // Pairing request from the web app
+        document.getElementById('pairing-approve-btn').addEventListener('click', () => {
+            this.answerPairing(true);
+        });
+
+        document.getElementById('pairing-reject-btn').addEventListener('click', () => {
+            this.answerPairing(false);
+        });
+
+        // Password generator
+        document.getElementById('generator-options').addEventListener('change', () => {
+            this.updateGeneratorSettings();
+        });
+
+        document.getElementById('generator-refresh-btn').addEventListener('click', () => {
+            this.refreshGeneratedPassword();
+        });
+
+        document.getElementById('generator-copy-btn').addEventListener('click', () => {
+            this.copyGeneratedPassword();
+        });
+
+        // Vault list, details and entry form
+        document.getElementById('vault-search').addEventListener('input', () => {
+            this.renderVaultList();
+        });
+
+        document.getElementById('add-entry-btn').addEventListener('click', () => {
+            this.openEntryForm(null);
+        });
+
+        document.getElementById('details-back-btn').addEventListener('click', () => {
+            this.showPanel('main-content');
+        });
+
+        document.getElementById('details-copy-username-btn').addEventListener('click', () => {
+            this.copyText(this.selectedEntry && this.selectedEntry.username);
+        });
+
+        document.getElementById('details-copy-password-btn').addEventListener('click', () => {
+            this.copyText(this.selectedEntry && this.selectedEntry.password);
+        });
+
+        document.getElementById('details-reveal-btn').addEventListener('click', () => {
+            this.toggleDetailsPassword();
+        });
+
+        document.getElementById('details-edit-btn').addEventListener('click', () => {
+            this.openEntryForm(this.selectedEntry);
+        });
+
+        document.getElementById('details-delete-btn').addEventListener('click', (e) => {
+            this.deleteSelectedEntry(e.currentTarget);
+        });
+
+        document.getElementById('entry-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEntryForm();
+        });
+
+        document.getElementById('form-back-btn').addEventListener('click', () => {
+            this.closeEntryForm();
+        });
+
+        document.getElementById('entry-cancel-btn').addEventListener('click', () => {
+            this.closeEntryForm();
+        });
+
+        document.getElementById('entry-reveal-btn').addEventListener('click', () => {
+            const input = document.getElementById('entry-password');
+            input.type = input.type === 'password' ? 'text' : 'password';
+        });
+
+        document.getElementById('entry-generate-btn').addEventListener('click', () => {
+            const input = document.getElementById('entry-password');
+            try {
+                input.value = passwordGenerator.generate(this.generatorSettings);
+                input.type = 'text';
+            } catch (error) {
+                this.showFormError(error.message);
+            }
+        });
+
+        document.getElementById('entry-add-url-btn').addEventListener('click', () => {
+            this.addUrlRow(document.getElementById('entry-urls'));
+        });
+
+        // The service worker's copy of the vault changes after saves, locks and web app edits
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'session' && (changes.passwordData || changes.pendingVaultSaves)) {
+                this.refreshVault();
+            }
         });
     }
 
+    async loadGeneratorSettings() {
+        try {
+            const result = await chrome.storage.local.get('generatorSettings');
+            this.generatorSettings = { ...passwordGenerator.defaults, ...(result.generatorSettings || {}) };
+        } catch (error) {
+            console.error('Error loading generator settings:', error);
+        }
+    }
+
+    /**
+     * List the chrome.commands shortcuts as currently bound, including ones the user changed
+     */
+    async renderShortcuts() {
+        const list = document.getElementById('shortcut-list');
+
+        try {
+            const commands = await chrome.commands.getAll();
+            list.innerHTML = '';
+
+            commands.forEach(command => {
+                const row = document.createElement('div');
+                row.className = 'shortcut-row';
+
+                const description = document.createElement('span');
+                description.textContent = command.description || 'Open the SecureVault popup';
+
+                const key = document.createElement('span');
+                key.className = 'shortcut-key';
+                key.textContent = command.shortcut || 'Not set';
+
+                row.append(description, key);
+                list.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Error loading shortcuts:', error);
+        }
+    }
+
+    renderGenerator() {
+        const settings = this.generatorSettings;
+
+        document.getElementById('generator-mode').value = settings.mode;
+        document.getElementById('generator-length').value = settings.length;
+        document.getElementById('generator-uppercase').checked = settings.uppercase;
+        document.getElementById('generator-lowercase').checked = settings.lowercase;
+        document.getElementById('generator-digits').checked = settings.digits;
+        document.getElementById('generator-symbols').checked = settings.symbols;
+        document.getElementById('generator-exclude-look-alikes').checked = settings.excludeLookAlikes;
+        document.getElementById('generator-words').value = settings.words;
+        document.getElementById('generator-capitalize').checked = settings.capitalize;
+        document.getElementById('generator-include-number').checked = settings.includeNumber;
+
+        document.querySelectorAll('.generator-password-option').forEach(el => {
+            el.classList.toggle('hidden', settings.mode !== 'password');
+        });
+        document.querySelectorAll('.generator-passphrase-option').forEach(el => {
+            el.classList.toggle('hidden', settings.mode !== 'passphrase');
+        });
+
+        this.refreshGeneratedPassword();
+    }
+
+    async updateGeneratorSettings() {
+        this.generatorSettings = {
+            ...this.generatorSettings,
+            mode: document.getElementById('generator-mode').value,
+            length: parseInt(document.getElementById('generator-length').value, 10),
+            uppercase: document.getElementById('generator-uppercase').checked,
+            lowercase: document.getElementById('generator-lowercase').checked,
+            digits: document.getElementById('generator-digits').checked,
+            symbols: document.getElementById('generator-symbols').checked,
+            excludeLookAlikes: document.getElementById('generator-exclude-look-alikes').checked,
+            words: parseInt(document.getElementById('generator-words').value, 10),
+            capitalize: document.getElementById('generator-capitalize').checked,
+            includeNumber: document.getElementById('generator-include-number').checked
+        };
+
+        this.renderGenerator();
+
+        try {
+            await chrome.storage.local.set({ generatorSettings: this.generatorSettings });
+        } catch (error) {
+            console.error('Error saving generator settings:', error);
+        }
+    }
+
+    refreshGeneratedPassword() {
+        const output = document.getElementById('generator-output');
+        try {
+            output.value = passwordGenerator.generate(this.generatorSettings);
+        } catch (error) {
+            output.value = '';
+            output.placeholder = error.message;
+        }
+    }
+
+    async copyGeneratedPassword() {
+        await this.copyText(document.getElementById('generator-output').value);
+    }
+
     updateUI() {
         // Hide loading, show content
         document.getElementById('loading').classList.add('hidden');
@@ -67,6 +289,9 @@ class PopupController {
         const statusText = document.getElementById('status-text');
         const userInfo = document.getElementById('user-info');
         const stats = document.getElementById('stats');
+        const lockBtn = document.getElementById('lock-btn');
+
+        lockBtn.classList.toggle('hidden', !this.vaultStatus.isLoggedIn);
 
         if (this.vaultStatus.isLoggedIn) {
             statusDot.className = 'status-dot online';
@@ -76,6 +301,13 @@ class PopupController {
             stats.classList.remove('hidden');
             
             document.getElementById('entries-count').textContent = this.vaultStatus.entriesCount;
+            document.getElementById('health-issues-count').textContent = this.vaultStatus.healthIssues || 0;
+        } else if (this.vaultStatus.isLocked) {
+            statusDot.className = 'status-dot locked';
+            statusText.textContent = 'Locked';
+            userInfo.textContent = `${this.vaultStatus.userEmail} - unlock SecureVault to autofill`;
+            userInfo.classList.remove('hidden');
+            stats.classList.add('hidden');
         } else {
             statusDot.className = 'status-dot offline';
             statusText.textContent = 'Not Connected';
@@ -83,8 +315,455 @@ class PopupController {
             stats.classList.add('hidden');
         }
 
+        this.updateUnlockForm();
+        this.updatePairingCard();
+
         // Update current site info
         this.updateCurrentSiteInfo();
+        this.updateVaultSection();
+    }
+
+    /**
+     * Offered once the web app has shared its encrypted vault with the extension
+     */
+    updateUnlockForm() {
+        const form = document.getElementById('unlock-form');
+        const email = this.vaultStatus.unlockEmail;
+
+        form.classList.toggle('hidden', this.vaultStatus.isLoggedIn || !email);
+        if (email) {
+            document.getElementById('unlock-email').textContent = email;
+        }
+    }
+
+    async unlockVault() {
+        const input = document.getElementById('unlock-password');
+        const button = document.getElementById('unlock-btn');
+        const errorText = document.getElementById('unlock-error');
+
+        button.disabled = true;
+        button.textContent = 'Unlocking...';
+        errorText.classList.add('hidden');
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'POPUP_UNLOCK',
+                password: input.value
+            });
+
+            if (!response || !response.success) {
+                errorText.textContent = (response && response.error) || 'Could not unlock SecureVault.';
+                errorText.classList.remove('hidden');
+            }
+        } catch (error) {
+            console.error('Error unlocking vault:', error);
+            errorText.textContent = 'Could not unlock SecureVault.';
+            errorText.classList.remove('hidden');
+        } finally {
+            input.value = '';
+            button.disabled = false;
+            button.textContent = 'Unlock';
+        }
+
+        await this.refreshVault();
+    }
+
+    updatePairingCard() {
+        const card = document.getElementById('pairing-card');
+        const pairing = this.vaultStatus.pendingPairing;
+
+        card.classList.toggle('hidden', !pairing);
+        if (pairing) {
+            document.getElementById('pairing-origin').textContent = pairing.origin;
+            document.getElementById('pairing-code').textContent = pairing.code;
+        }
+    }
+
+    async answerPairing(approve) {
+        try {
+            await chrome.runtime.sendMessage({
+                type: 'POPUP_PAIRING_RESPONSE',
+                approve: approve
+            });
+        } catch (error) {
+            console.error('Error answering pairing request:', error);
+        }
+
+        await this.refreshVault();
+    }
+
+    async refreshVault() {
+        await this.loadVaultStatus();
+        this.updateUI();
+    }
+
+    /**
+     * Show one of the popup's views: the main view, entry details or the entry form
+     */
+    showPanel(id) {
+        ['main-content', 'entry-details', 'entry-form'].forEach(panel => {
+            document.getElementById(panel).classList.toggle('hidden', panel !== id);
+        });
+    }
+
+    async updateVaultSection() {
+        const section = document.getElementById('vault-section');
+
+        if (!this.vaultStatus.isLoggedIn) {
+            this.entries = [];
+            this.selectedEntry = null;
+            section.classList.add('hidden');
+            this.showPanel('main-content');
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'POPUP_GET_ENTRIES' });
+            this.entries = (response && response.entries) || [];
+        } catch (error) {
+            console.error('Error loading vault entries:', error);
+            this.entries = [];
+        }
+
+        section.classList.remove('hidden');
+        this.renderVaultList();
+        this.updateVaultNotice();
+
+        // An entry deleted elsewhere can't stay open
+        if (this.selectedEntry && !this.entries.some(entry => entry.id === this.selectedEntry.id)) {
+            this.selectedEntry = null;
+            this.showPanel('main-content');
+        }
+    }
+
+    renderVaultList() {
+        const list = document.getElementById('vault-list');
+        const query = document.getElementById('vault-search').value.trim().toLowerCase();
+        const matches = this.entries.filter(entry => !query ||
+            entry.platform.toLowerCase().includes(query) ||
+            entry.username.toLowerCase().includes(query) ||
+            entry.urls.some(rule => rule.url.toLowerCase().includes(query)));
+
+        list.innerHTML = '';
+
+        if (!matches.length) {
+            const empty = document.createElement('div');
+            empty.className = 'vault-empty';
+            empty.textContent = this.entries.length ? 'No entries match your search' : 'Your vault is empty';
+            list.appendChild(empty);
+            return;
+        }
+
+        matches
+            .slice()
+            .sort((a, b) => a.platform.localeCompare(b.platform) || a.username.localeCompare(b.username))
+            .forEach(entry => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'vault-item';
+
+                const platform = document.createElement('span');
+                platform.className = 'vault-item-platform';
+                platform.textContent = entry.platform;
+
+                const username = document.createElement('span');
+                username.className = 'vault-item-username';
+                username.textContent = entry.username;
+
+                item.append(platform, username);
+                item.addEventListener('click', () => {
+                    this.openEntryDetails(entry.id);
+                });
+                list.appendChild(item);
+            });
+    }
+
+    /**
+     * Passwords are fetched from the service worker only when an entry is opened
+     */
+    async fetchEntry(entryId) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'POPUP_GET_ENTRY', entryId: entryId });
+            return response && response.entry;
+        } catch (error) {
+            console.error('Error loading entry:', error);
+            return null;
+        }
+    }
+
+    async openEntryDetails(entryId) {
+        const entry = await this.fetchEntry(entryId);
+        if (!entry) {
+            return;
+        }
+
+        this.selectedEntry = entry;
+        document.getElementById('details-platform').textContent = entry.platform;
+        document.getElementById('details-username').textContent = entry.username;
+        document.getElementById('details-password').textContent = '•'.repeat(12);
+        document.getElementById('details-password').dataset.revealed = 'false';
+
+        const deleteBtn = document.getElementById('details-delete-btn');
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.dataset.confirming = 'false';
+
+        const urls = document.getElementById('details-urls');
+        urls.innerHTML = '';
+        (entry.urls || []).forEach(rule => {
+            const line = document.createElement('div');
+            line.textContent = `${rule.url} (${siteMatcher.matchModes[rule.match] || siteMatcher.matchModes[siteMatcher.defaultMode]})`;
+            urls.appendChild(line);
+        });
+        if (!urls.children.length) {
+            urls.textContent = 'Matched by platform name';
+        }
+
+        this.showPanel('entry-details');
+    }
+
+    toggleDetailsPassword() {
+        const display = document.getElementById('details-password');
+        const revealed = display.dataset.revealed === 'true';
+
+        display.textContent = revealed ? '•'.repeat(12) : this.selectedEntry.password;
+        display.dataset.revealed = String(!revealed);
+    }
+
+    /**
+     * The service worker copies, so the clipboard still gets cleared after this popup closes
+     */
+    async copyText(value) {
+        if (!value) {
+            return;
+        }
+
+        const notice = document.getElementById('clipboard-notice');
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'POPUP_COPY_TO_CLIPBOARD', text: value });
+            if (!response || !response.success) {
+                return;
+            }
+
+            notice.textContent = response.clearAfterSeconds > 0
+                ? `Copied; the clipboard clears in ${response.clearAfterSeconds} s`
+                : 'Copied';
+            notice.classList.remove('hidden');
+            clearTimeout(this.clipboardNoticeTimer);
+            this.clipboardNoticeTimer = setTimeout(() => notice.classList.add('hidden'), 2500);
+        } catch (error) {
+            console.error('Error copying to clipboard:', error);
+        }
+    }
+
+    /**
+     * entry is null for a new entry, otherwise the entry being edited (with its password)
+     */
+    openEntryForm(entry) {
+        this.editingEntryId = entry ? entry.id : null;
+
+        document.getElementById('entry-form').reset();
+        document.getElementById('entry-form-title').textContent = entry ? 'Edit Entry' : 'Add Entry';
+        document.getElementById('entry-platform').value = entry ? entry.platform : '';
+        document.getElementById('entry-username').value = entry ? entry.username : '';
+        document.getElementById('entry-password').value = entry ? entry.password : '';
+        document.getElementById('entry-password').type = 'password';
+        this.showFormError(null);
+
+        const urls = document.getElementById('entry-urls');
+        urls.innerHTML = '';
+        if (entry) {
+            (entry.urls || []).forEach(rule => this.addUrlRow(urls, rule));
+        } else if (this.currentTab && /^https?:/.test(this.currentTab.url || '')) {
+            // New entries start with the current site
+            this.addUrlRow(urls, { url: new URL(this.currentTab.url).origin });
+        }
+
+        this.showPanel('entry-form');
+        document.getElementById('entry-platform').focus();
+    }
+
+    closeEntryForm() {
+        document.getElementById('entry-form').reset();
+        this.showPanel(this.editingEntryId && this.selectedEntry ? 'entry-details' : 'main-content');
+        this.editingEntryId = null;
+    }
+
+    addUrlRow(list, rule = {}) {
+        const row = document.createElement('div');
+        row.className = 'url-row';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'url-input';
+        input.placeholder = 'https://example.com/login';
+        input.value = rule.url || '';
+
+        const select = document.createElement('select');
+        select.className = 'url-match';
+        Object.entries(siteMatcher.matchModes).forEach(([mode, label]) => {
+            select.add(new Option(label, mode, false, mode === (rule.match || siteMatcher.defaultMode)));
+        });
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'icon-btn';
+        remove.title = 'Remove URL';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => row.remove());
+
+        row.append(input, select, remove);
+        list.appendChild(row);
+    }
+
+    /**
+     * Collect { url, match } rules the same way the web app does; returns null on an invalid row
+     */
+    readUrlRows(list) {
+        const urls = [];
+
+        for (const row of list.querySelectorAll('.url-row')) {
+            const url = row.querySelector('.url-input').value.trim();
+            const match = row.querySelector('.url-match').value;
+            if (!url) {
+                continue;
+            }
+
+            if (match === 'regex') {
+                try {
+                    new RegExp(url);
+                } catch (error) {
+                    this.showFormError(`Invalid regular expression: ${url}`);
+                    return null;
+                }
+            } else if (!siteMatcher.parseUrl(url)) {
+                this.showFormError(`Invalid website URL: ${url}`);
+                return null;
+            }
+
+            urls.push({ url, match });
+        }
+
+        return urls;
+    }
+
+    showFormError(message) {
+        const error = document.getElementById('entry-form-error');
+        error.textContent = message || '';
+        error.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Hand the entry to the service worker, which passes it to the web app to encrypt and store
+     */
+    async saveEntryForm() {
+        const platform = document.getElementById('entry-platform').value.trim();
+        const username = document.getElementById('entry-username').value.trim();
+        const password = document.getElementById('entry-password').value;
+
+        if (!platform || !username || !password) {
+            this.showFormError('Please fill in all fields!');
+            return;
+        }
+
+        const urls = this.readUrlRows(document.getElementById('entry-urls'));
+        if (!urls) {
+            return;
+        }
+
+        // Same duplicate rule as the web app: several accounts per platform, each account once
+        const key = `${platform.toLowerCase()}|${username.toLowerCase()}`;
+        if (this.entries.some(entry => `${entry.platform.toLowerCase()}|${entry.username.toLowerCase()}` === key &&
+            entry.id !== this.editingEntryId)) {
+            this.showFormError('An entry for this platform and username already exists!');
+            return;
+        }
+
+        const response = await this.sendVaultChange({
+            type: 'POPUP_SAVE_ENTRY',
+            entry: { id: this.editingEntryId, platform, username, password, urls }
+        });
+        if (!response) {
+            this.showFormError('Could not save the entry. Please try again.');
+            return;
+        }
+
+        this.editingEntryId = null;
+        this.selectedEntry = null;
+        document.getElementById('entry-form').reset();
+        this.showPanel('main-content');
+    }
+
+    /**
+     * First click asks for confirmation, the second deletes
+     */
+    async deleteSelectedEntry(button) {
+        if (button.dataset.confirming !== 'true') {
+            button.dataset.confirming = 'true';
+            button.textContent = 'Click again to delete';
+            return;
+        }
+
+        const response = await this.sendVaultChange({
+            type: 'POPUP_DELETE_ENTRY',
+            entryId: this.selectedEntry.id
+        });
+        if (response) {
+            this.selectedEntry = null;
+            this.showPanel('main-content');
+        }
+    }
+
+    /**
+     * Queued changes already show in the list, but until the web app stores them they may only be
+     * in session storage, so say so while any are waiting
+     */
+    updateVaultNotice() {
+        const notice = document.getElementById('vault-notice');
+        const pending = this.vaultStatus.pendingChanges || 0;
+
+        if (pending) {
+            let advice = 'Open and unlock SecureVault in a tab to store them; closing the browser first loses them.';
+            if (this.vaultStatus.pendingChangesKept) {
+                advice = 'Open and unlock SecureVault in a tab to store them.';
+            } else if (this.vaultStatus.sessionKeyLost) {
+                // The worker restarted since this popup unlocked the vault, so the encrypted copy is gone
+                advice = 'The extension restarted and can no longer keep them encrypted: closing the browser ' +
+                    'before SecureVault stores them loses them. Lock and unlock here to keep them again.';
+            }
+            notice.textContent = `${pending} change${pending === 1 ? '' : 's'} not stored yet. ${advice}`;
+            notice.dataset.pending = 'true';
+            notice.classList.remove('hidden');
+        } else if (notice.dataset.pending === 'true') {
+            delete notice.dataset.pending;
+            notice.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Changes are stored by the web app; without an open, unlocked web app tab they wait in the queue
+     */
+    async sendVaultChange(message) {
+        const notice = document.getElementById('vault-notice');
+
+        try {
+            const response = await chrome.runtime.sendMessage(message);
+            if (!response || !response.success) {
+                return null;
+            }
+
+            if (response.delivered) {
+                notice.textContent = 'Saved to your vault.';
+                delete notice.dataset.pending;
+                notice.classList.remove('hidden');
+            } else {
+                await this.refreshVault();
+            }
+            return response;
+        } catch (error) {
+            console.error('Error saving vault change:', error);
+            return null;
+        }
     }
 
     async updateCurrentSiteInfo() {
@@ -92,6 +771,8 @@ class PopupController {
         const passwordStatusEl = document.getElementById('password-status');
         const autofillBtn = document.getElementById('autofill-btn');
 
+        this.renderAccountList([]);
+
         if (!this.currentTab || !this.currentTab.url) {
             siteDomainEl.textContent = 'Unable to access current site';
             passwordStatusEl.classList.add('hidden');
@@ -109,18 +790,31 @@ class PopupController {
             if (this.vaultStatus.isLoggedIn) {
                 const response = await chrome.runtime.sendMessage({
                     type: 'GET_PASSWORD_DATA',
-                    domain: domain
+                    domain: domain,
+                    url: this.currentTab.url
                 });
 
-                if (response && response.passwordData) {
+                if (response && response.accounts && response.accounts.length) {
+                    const accounts = response.accounts;
+
                     passwordStatusEl.innerHTML = `
                         <svg class="icon" viewBox="0 0 24 24" style="width: 12px; height: 12px;">
                             <path d="M9,20.42L2.79,14.21L5.62,11.38L9,14.77L18.88,4.88L21.71,7.71L9,20.42Z"/>
                         </svg>
-                        Password available for ${response.passwordData.platform}
+                        <span></span>
                     `;
+                    passwordStatusEl.querySelector('span').textContent = accounts.length === 1
+                        ? `Password available for ${accounts[0].platform}`
+                        : `${accounts.length} accounts saved for ${accounts[0].platform}`;
                     passwordStatusEl.className = 'password-available';
-                    autofillBtn.classList.remove('hidden');
+
+                    // A single account fills straight away; several get a pick list
+                    if (accounts.length === 1) {
+                        autofillBtn.classList.remove('hidden');
+                    } else {
+                        autofillBtn.classList.add('hidden');
+                    }
+                    this.renderAccountList(accounts);
                 } else {
                     passwordStatusEl.innerHTML = `
                         <svg class="icon" viewBox="0 0 24 24" style="width: 12px; height: 12px;">
@@ -136,7 +830,7 @@ class PopupController {
                     <svg class="icon" viewBox="0 0 24 24" style="width: 12px; height: 12px;">
                         <path d="M13,14H11V10H13M13,18H11V16H13M1,21H23L12,2L1,21Z"/>
                     </svg>
-                    Please login to SecureVault first
+                    ${this.vaultStatus.isLocked ? 'Vault is locked' : 'Please login to SecureVault first'}
                 `;
                 passwordStatusEl.className = 'password-available no-password';
                 autofillBtn.classList.add('hidden');
@@ -149,6 +843,32 @@ class PopupController {
         }
     }
 
+    renderAccountList(accounts) {
+        const list = document.getElementById('account-list');
+
+        this.siteAccounts = accounts;
+        list.innerHTML = '';
+
+        if (accounts.length < 2) {
+            list.classList.add('hidden');
+            return;
+        }
+
+        accounts.forEach(account => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'account-item';
+            item.textContent = account.username || '(no username)';
+            item.title = `Fill ${account.platform} - ${account.username}`;
+            item.addEventListener('click', () => {
+                this.requestAutofill(account.id);
+            });
+            list.appendChild(item);
+        });
+
+        list.classList.remove('hidden');
+    }
+
     async openWebApp() {
         try {
             await chrome.runtime.sendMessage({
@@ -162,7 +882,20 @@ class PopupController {
         }
     }
 
-    async requestAutofill() {
+    async lockVault() {
+        try {
+            await chrome.runtime.sendMessage({
+                type: 'POPUP_LOCK_VAULT'
+            });
+
+            await this.loadVaultStatus();
+            this.updateUI();
+        } catch (error) {
+            console.error('Error locking vault:', error);
+        }
+    }
+
+    async requestAutofill(entryId = null) {
         if (!this.currentTab || !this.currentTab.url) {
             return;
         }
@@ -173,7 +906,10 @@ class PopupController {
 
             await chrome.runtime.sendMessage({
                 type: 'REQUEST_AUTOFILL',
-                domain: domain
+                domain: domain,
+                url: this.currentTab.url,
+                tabId: this.currentTab.id,
+                entryId: entryId
             });
 
             // Show success feedback
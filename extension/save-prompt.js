@@ -0,0 +1,143 @@
+/**
+ * "Save to SecureVault?" bar for the content script, also used to confirm risky autofills
+ * Rendered in a closed Shadow DOM so the page cannot restyle it or click its buttons
+ */
+
+class SavePrompt {
+    /**
+     * onChoice(choice) receives 'save', 'dismiss' or 'never'
+     */
+    constructor(onChoice) {
+        this.onChoice = onChoice;
+        this.host = null;
+    }
+
+    /**
+     * prompt is { action: 'save' | 'update', username, domain } from the service worker
+     */
+    show(prompt) {
+        const isUpdate = prompt.action === 'update';
+
+        this.render({
+            title: isUpdate ? 'Update password in SecureVault?' : 'Save to SecureVault?',
+            detail: [prompt.username, prompt.domain].filter(Boolean).join(' on '),
+            buttons: [
+                { label: isUpdate ? 'Update' : 'Save', choice: 'save', className: 'primary' },
+                { label: 'Not now', choice: 'dismiss' },
+                { label: 'Never for this site', choice: 'never', className: 'never' }
+            ]
+        }, this.onChoice);
+    }
+
+    /**
+     * Ask before filling somewhere risky; resolves true only when the user clicks Fill
+     */
+    confirm({ title, detail, warnings }) {
+        return new Promise(resolve => {
+            this.render({
+                title,
+                detail,
+                warnings,
+                buttons: [
+                    { label: 'Fill anyway', choice: 'fill', className: 'primary' },
+                    { label: 'Cancel', choice: 'dismiss' }
+                ]
+            }, (choice) => resolve(choice === 'fill'));
+        });
+    }
+
+    render({ title, detail, warnings = [], buttons }, onChoice) {
+        this.hide();
+
+        this.host = document.createElement('securevault-save');
+        this.host.style.setProperty('all', 'initial', 'important');
+        this.host.style.setProperty('position', 'fixed', 'important');
+        this.host.style.setProperty('top', '16px', 'important');
+        this.host.style.setProperty('right', '16px', 'important');
+        this.host.style.setProperty('z-index', '2147483647', 'important');
+
+        const shadow = this.host.attachShadow({ mode: 'closed' });
+        shadow.innerHTML = `
+            <style>
+                .bar {
+                    width: 320px;
+                    padding: 14px 16px;
+                    background: white;
+                    border-top: 4px solid #667eea;
+                    border-radius: 8px;
+                    box-shadow: 0 4px 15px rgba(0,0,0,0.25);
+                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                    font-size: 14px;
+                    color: #333;
+                }
+                .title { font-weight: 600; margin-bottom: 4px; }
+                .detail { font-size: 12px; color: #666; margin-bottom: 12px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+                .warning { font-size: 12px; color: #b45309; margin-bottom: 8px; }
+                .actions { display: flex; gap: 8px; flex-wrap: wrap; }
+                button {
+                    padding: 6px 12px;
+                    border: 1px solid #e1e5e9;
+                    border-radius: 6px;
+                    background: white;
+                    color: #333;
+                    font: inherit;
+                    font-size: 13px;
+                    cursor: pointer;
+                }
+                button.primary { background: #667eea; border-color: #667eea; color: white; }
+                button:focus-visible { outline: 2px solid #667eea; outline-offset: 2px; }
+                button.never { margin-left: auto; border: none; color: #666; text-decoration: underline; }
+            </style>
+            <div class="bar" role="dialog" aria-live="polite" aria-labelledby="title">
+                <div class="title" id="title"></div>
+                <div class="detail"></div>
+                <div class="actions"></div>
+            </div>
+        `;
+
+        // Page-derived values go in as text, never markup
+        shadow.querySelector('.title').textContent = title;
+        shadow.querySelector('.detail').textContent = detail || '';
+
+        const actions = shadow.querySelector('.actions');
+        warnings.forEach(warning => {
+            const line = document.createElement('div');
+            line.className = 'warning';
+            line.textContent = warning;
+            actions.before(line);
+        });
+
+        buttons.forEach(({ label, choice, className }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            if (className) {
+                button.className = className;
+            }
+            button.addEventListener('click', (e) => {
+                if (!e.isTrusted) {
+                    return;
+                }
+                this.hide();
+                onChoice(choice);
+            });
+            actions.appendChild(button);
+        });
+
+        shadow.querySelector('.bar').addEventListener('keydown', (e) => {
+            if (e.isTrusted && e.key === 'Escape') {
+                this.hide();
+                onChoice('dismiss');
+            }
+        });
+
+        document.documentElement.appendChild(this.host);
+    }
+
+    hide() {
+        if (this.host) {
+            this.host.remove();
+            this.host = null;
+        }
+    }
+}
@@ -6,9 +6,24 @@
 class PasswordVault {
     constructor() {
         this.currentUser = null;
-        this.userPassword = null; // Used for encryption/decryption
+        this.sessionKey = null; // Non-extractable key derived once at unlock
         this.entries = [];
         this.editingEntryId = null;
+        this.vaultLoadFailed = false; // Blocks saves so an unreadable vault is never overwritten
+        this.autoLockMinutes = parseInt(localStorage.getItem('autoLockMinutes') || '15', 10); // 0 disables auto-lock
+        this.autoLockTimer = null;
+        this.lastActivityAt = Date.now();
+        this.clipboardClearSeconds = parseInt(localStorage.getItem('clipboardClearSeconds') || '30', 10); // 0 never clears
+        this.clipboardTimer = null;
+        this.extensionPairing = this.loadExtensionPairing(); // { key, counter, receivedCounter } once paired
+        this.extensionQueue = Promise.resolve(); // Keeps signed messages in counter order
+        this.storedExtensionChanges = new Set(); // changeIds from the extension already stored
+        this.pendingImport = null; // Preview of entries waiting for merge/replace
+        this.returnToHealth = false; // Reopen the health report after editing from it
+        this.breachCounts = new Map(); // Entry id -> times seen in breach data, from the last check
+        this.generatorSettings = this.loadGeneratorSettings();
+        this.generatorTarget = null; // Input the generator modal fills
+        this.healthMaxAgeDays = parseInt(localStorage.getItem('healthMaxAgeDays') || String(vaultHealth.defaultMaxAgeDays), 10);
         
         this.init();
     }
@@ -45,6 +60,133 @@ class PasswordVault {
             this.handleLogout();
         });
 
+        document.getElementById('lockBtn').addEventListener('click', () => {
+            this.handleLock();
+        });
+
+        const autoLockSelect = document.getElementById('autoLockSelect');
+        autoLockSelect.value = String(this.autoLockMinutes);
+        autoLockSelect.addEventListener('change', () => {
+            this.setAutoLockMinutes(parseInt(autoLockSelect.value, 10));
+        });
+
+        const clipboardClearSelect = document.getElementById('clipboardClearSelect');
+        clipboardClearSelect.value = String(this.clipboardClearSeconds);
+        clipboardClearSelect.addEventListener('change', () => {
+            this.setClipboardClearSeconds(parseInt(clipboardClearSelect.value, 10));
+        });
+
+        // Any user activity restarts the auto-lock countdown
+        ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'].forEach(eventName => {
+            document.addEventListener(eventName, () => {
+                this.resetAutoLockTimer();
+            }, { passive: true });
+        });
+
+        // Timers are paused while the machine sleeps or the screen is locked
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.checkAutoLockOnResume();
+            }
+        });
+
+        // Backup export/import
+        document.getElementById('exportBackupBtn').addEventListener('click', () => {
+            this.openModal('exportModal');
+        });
+
+        document.getElementById('exportBackupForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleExportBackup();
+        });
+
+        document.getElementById('importBackupBtn').addEventListener('click', () => {
+            this.openModal('importModal');
+        });
+
+        document.getElementById('importBackupForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleImport();
+        });
+
+        document.getElementById('importSource').addEventListener('change', () => {
+            this.updateImportSourceFields();
+        });
+
+        document.getElementById('importMergeBtn').addEventListener('click', () => {
+            this.applyImport('merge');
+        });
+
+        document.getElementById('importReplaceBtn').addEventListener('click', () => {
+            this.applyImport('replace');
+        });
+
+        // Vault health
+        document.getElementById('healthBtn').addEventListener('click', () => {
+            this.openHealthReport();
+        });
+
+        document.getElementById('healthMaxAge').addEventListener('change', (e) => {
+            this.setHealthMaxAgeDays(parseInt(e.target.value, 10));
+        });
+
+        document.getElementById('breachSourceType').addEventListener('change', () => {
+            this.updateBreachSourceFields();
+        });
+
+        document.getElementById('breachCheckBtn').addEventListener('click', () => {
+            this.runBreachCheck();
+        });
+
+        // Password generator
+        document.querySelectorAll('[data-generate-for]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.fillGeneratedPassword(button.dataset.generateFor);
+            });
+        });
+
+        document.querySelectorAll('[data-generator-options-for]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.openGenerator(button.dataset.generatorOptionsFor);
+            });
+        });
+
+        document.getElementById('generatorOptions').addEventListener('input', () => {
+            this.updateGeneratorSettings();
+        });
+
+        document.getElementById('generatorRefresh').addEventListener('click', () => {
+            this.refreshGeneratorOutput();
+        });
+
+        document.getElementById('generatorForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.useGeneratedPassword();
+        });
+
+        document.querySelectorAll('[data-close-modal]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.closeModalById(button.dataset.closeModal);
+            });
+        });
+
+        document.getElementById('changePasswordBtn').addEventListener('click', () => {
+            this.openChangePasswordModal();
+        });
+
+        document.getElementById('changePasswordForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleChangePassword();
+        });
+
+        document.getElementById('closeChangePassword').addEventListener('click', () => {
+            this.closeChangePasswordModal();
+        });
+
+        document.getElementById('cancelChangePassword').addEventListener('click', () => {
+            this.closeChangePasswordModal();
+        });
+
         // Password confirmation in register
         document.getElementById('confirmPassword').addEventListener('input', () => {
             this.checkPasswordMatch();
@@ -54,6 +196,29 @@ class PasswordVault {
             this.checkPasswordMatch();
         });
 
+        // Live strength meters
+        document.querySelectorAll('[data-strength-for]').forEach(meter => {
+            const input = document.getElementById(meter.dataset.strengthFor);
+            input.addEventListener('input', () => {
+                this.updateStrengthMeter(meter);
+            });
+            // Reset fires before the values are cleared
+            input.form.addEventListener('reset', () => {
+                setTimeout(() => this.updateStrengthMeter(meter));
+            });
+        });
+
+        // Website URL rows on the add and edit forms
+        document.querySelectorAll('[data-add-url-for]').forEach(button => {
+            const list = document.getElementById(button.dataset.addUrlFor);
+            button.addEventListener('click', () => {
+                this.addUrlRow(list);
+            });
+            list.closest('form').addEventListener('reset', () => {
+                list.innerHTML = '';
+            });
+        });
+
         // Entry management
         document.getElementById('addEntryForm').addEventListener('submit', (e) => {
             e.preventDefault();
@@ -80,6 +245,14 @@ class PasswordVault {
             if (e.target === modal) {
                 this.closeModal();
             }
+
+            if (e.target === document.getElementById('changePasswordModal')) {
+                this.closeChangePasswordModal();
+            }
+
+            if (e.target.classList.contains('modal') && e.target.dataset.modal) {
+                this.closeModalById(e.target.id);
+            }
         });
     }
 
@@ -136,6 +309,11 @@ class PasswordVault {
             return;
         }
 
+        const strength = passwordStrength.estimate(password, [email]);
+        if (strength.score < 2 && !confirm(`Your master password is ${strength.label.toLowerCase()}. ${strength.feedback.warning} Use it anyway?`)) {
+            return;
+        }
+
         try {
             // Check if user already exists
             const existingUsers = JSON.parse(localStorage.getItem('users') || '{}');
@@ -181,34 +359,200 @@ class PasswordVault {
                 return;
             }
 
-            // Verify password
-            const isValidPassword = await cryptoUtils.verifyPassword(password, user.hashedPassword);
+            // Derive the session key once; the plaintext password is not kept after this
+            const sessionKey = await this.unlockVault(email, password, user);
             
-            if (!isValidPassword) {
+            if (!sessionKey) {
                 alert('Invalid password!');
                 return;
             }
 
             // Login successful
             this.currentUser = user;
-            this.userPassword = password; // Store for encryption/decryption
+            this.sessionKey = sessionKey;
             localStorage.setItem('currentUser', JSON.stringify(user));
 
             this.showMainApp();
             await this.loadUserEntries();
+            this.resetAutoLockTimer();
             
             // Notify Chrome extension about login
             this.notifyExtension('user_logged_in', { email: email });
+            this.notifyExtension('entries_updated', this.entries);
+            this.shareVaultRecord();
+            this.requestExtensionPairing();
         } catch (error) {
             console.error('Login error:', error);
             alert('Login failed. Please try again.');
         }
     }
 
+    /**
+     * Verify the master password and return a session key for the user's vault, or null
+     * An existing vault is verified by decrypting it, so only one PBKDF2 run is needed
+     */
+    async unlockVault(email, password, user) {
+        const userDataKey = `entries_${email}`;
+        const encryptedData = localStorage.getItem(userDataKey);
+
+        if (!encryptedData) {
+            // No vault yet, so the stored hash is the only check available
+            if (!(await cryptoUtils.verifyPassword(password, user.hashedPassword))) {
+                return null;
+            }
+            return cryptoUtils.createSessionKey(password);
+        }
+
+        const sessionKey = await cryptoUtils.createSessionKeyForData(password, encryptedData);
+
+        let decryptedData;
+        try {
+            decryptedData = await cryptoUtils.decryptWithKey(encryptedData, sessionKey);
+        } catch (error) {
+            // Either a wrong password or a damaged vault; the stored hash tells them apart
+            if (!(await cryptoUtils.verifyPassword(password, user.hashedPassword))) {
+                return null;
+            }
+            return sessionKey; // loadUserEntries will flag the vault as unreadable
+        }
+
+        // Re-encrypt vaults written with an older envelope or weaker KDF parameters
+        // while the password is still at hand
+        if (cryptoUtils.needsUpgrade(encryptedData)) {
+            const upgradedKey = await cryptoUtils.createSessionKey(password);
+            localStorage.setItem(userDataKey, await cryptoUtils.encryptWithKey(decryptedData, upgradedKey));
+            return upgradedKey;
+        }
+
+        return sessionKey;
+    }
+
+    /**
+     * Lock the vault: wipe the session key and decrypted entries but remember who was signed in
+     */
+    handleLock() {
+        if (!this.sessionKey) {
+            return;
+        }
+
+        clearTimeout(this.autoLockTimer);
+        this.sessionKey = null;
+        this.entries = [];
+        this.breachCounts.clear();
+        this.vaultLoadFailed = false;
+
+        this.closeModal();
+        this.closeChangePasswordModal();
+        this.closeModalById('exportModal');
+        this.closeModalById('importModal');
+        this.closeModalById('healthModal');
+        this.renderEntries();
+
+        // Notify Chrome extension about lock
+        this.notifyExtension('vault_locked');
+
+        this.showAuthForm();
+        this.showLoginForm();
+        document.getElementById('loginEmail').value = this.currentUser.email;
+    }
+
+    setAutoLockMinutes(minutes) {
+        this.autoLockMinutes = minutes;
+        localStorage.setItem('autoLockMinutes', String(minutes));
+        this.resetAutoLockTimer();
+
+        this.notifyExtension('settings_updated', { autoLockMinutes: minutes });
+    }
+
+    setClipboardClearSeconds(seconds) {
+        this.clipboardClearSeconds = seconds;
+        localStorage.setItem('clipboardClearSeconds', String(seconds));
+
+        this.notifyExtension('settings_updated', { clipboardClearSeconds: seconds });
+    }
+
+    /**
+     * Copy an entry's username or password; the clipboard is cleared after the configured time
+     */
+    async copyEntryField(entryId, field, button) {
+        const entry = this.entries.find(e => e.id === entryId);
+        if (!entry || !entry[field]) return;
+
+        try {
+            await navigator.clipboard.writeText(entry[field]);
+        } catch (error) {
+            console.error('Error copying to clipboard:', error);
+            alert('Could not copy to the clipboard.');
+            return;
+        }
+
+        this.scheduleClipboardClear(entry[field]);
+
+        const icon = button && button.querySelector('i');
+        if (icon) {
+            icon.className = 'fas fa-check';
+            setTimeout(() => { icon.className = 'fas fa-copy'; }, 1500);
+        }
+    }
+
+    scheduleClipboardClear(value) {
+        clearTimeout(this.clipboardTimer);
+        if (!this.clipboardClearSeconds) {
+            return;
+        }
+
+        this.clipboardTimer = setTimeout(() => {
+            this.clearClipboard(value);
+        }, this.clipboardClearSeconds * 1000);
+    }
+
+    /**
+     * Clear the clipboard only while it still holds the value we copied, so later copies survive
+     */
+    async clearClipboard(value) {
+        try {
+            if (await navigator.clipboard.readText() === value) {
+                await navigator.clipboard.writeText('');
+            }
+        } catch (error) {
+            // Reading needs focus (and the clipboard-read permission); retry when the user comes back
+            if (!document.hasFocus()) {
+                window.addEventListener('focus', () => this.clearClipboard(value), { once: true });
+            } else {
+                console.error('Error clearing clipboard:', error);
+            }
+        }
+    }
+
+    resetAutoLockTimer() {
+        clearTimeout(this.autoLockTimer);
+        this.lastActivityAt = Date.now();
+
+        if (!this.sessionKey || !this.autoLockMinutes) {
+            return;
+        }
+
+        this.autoLockTimer = setTimeout(() => {
+            this.handleLock();
+        }, this.autoLockMinutes * 60 * 1000);
+    }
+
+    checkAutoLockOnResume() {
+        if (!this.sessionKey || !this.autoLockMinutes) {
+            return;
+        }
+
+        if (Date.now() - this.lastActivityAt >= this.autoLockMinutes * 60 * 1000) {
+            this.handleLock();
+        }
+    }
+
     handleLogout() {
+        clearTimeout(this.autoLockTimer);
         this.currentUser = null;
-        this.userPassword = null;
+        this.sessionKey = null;
         this.entries = [];
+        this.vaultLoadFailed = false;
         localStorage.removeItem('currentUser');
         
         // Notify Chrome extension about logout
@@ -238,9 +582,10 @@ class PasswordVault {
         try {
             const userDataKey = `entries_${this.currentUser.email}`;
             const encryptedData = localStorage.getItem(userDataKey);
+            this.vaultLoadFailed = false;
             
             if (encryptedData) {
-                const decryptedData = await cryptoUtils.decrypt(encryptedData, this.userPassword);
+                const decryptedData = await cryptoUtils.decryptWithKey(encryptedData, this.sessionKey);
                 this.entries = JSON.parse(decryptedData);
             } else {
                 this.entries = [];
@@ -249,25 +594,35 @@ class PasswordVault {
             this.renderEntries();
         } catch (error) {
             console.error('Error loading entries:', error);
-            // If decryption fails, might be due to password change, reset entries
+            // Keep the stored ciphertext intact and refuse to save over it
+            this.vaultLoadFailed = true;
             this.entries = [];
             this.renderEntries();
+            alert('Your vault could not be decrypted. Changes are disabled to protect the stored data.');
         }
     }
 
     async saveUserEntries() {
+        if (this.vaultLoadFailed) {
+            alert('Your vault could not be decrypted, so changes cannot be saved.');
+            return;
+        }
+
         try {
             const userDataKey = `entries_${this.currentUser.email}`;
             const dataToEncrypt = JSON.stringify(this.entries);
-            const encryptedData = await cryptoUtils.encrypt(dataToEncrypt, this.userPassword);
+            const encryptedData = await cryptoUtils.encryptWithKey(dataToEncrypt, this.sessionKey);
             
             localStorage.setItem(userDataKey, encryptedData);
             
             // Notify Chrome extension about data update
             this.notifyExtension('entries_updated', this.entries);
+            this.shareVaultRecord();
+            return true;
         } catch (error) {
             console.error('Error saving entries:', error);
             alert('Failed to save entries. Please try again.');
+            return false;
         }
     }
 
@@ -281,18 +636,28 @@ class PasswordVault {
             return;
         }
 
-        // Check for duplicate platform
-        if (this.entries.some(entry => entry.platform.toLowerCase() === platformName.toLowerCase())) {
-            alert('An entry for this platform already exists!');
+        const urls = this.readUrlRows(document.getElementById('addEntryUrls'));
+        if (!urls) {
             return;
         }
 
+        // Several accounts per platform are fine; the same account twice is not
+        const entryKey = this.getEntryKey({ platform: platformName, username: platformUsername });
+        if (this.entries.some(entry => this.getEntryKey(entry) === entryKey)) {
+            alert('An entry for this platform and username already exists!');
+            return;
+        }
+
+        const now = new Date().toISOString();
         const newEntry = {
             id: Date.now().toString(),
             platform: this.capitalizePlatform(platformName),
             username: platformUsername,
             password: platformPassword,
-            createdAt: new Date().toISOString()
+            urls: urls,
+            strength: this.scorePassword(platformPassword, [platformName, platformUsername]),
+            createdAt: now,
+            passwordChangedAt: now
         };
 
         this.entries.push(newEntry);
@@ -321,24 +686,37 @@ class PasswordVault {
             return;
         }
 
-        // Check for duplicate platform (excluding current entry)
+        const urls = this.readUrlRows(document.getElementById('editEntryUrls'));
+        if (!urls) {
+            return;
+        }
+
+        // Check for duplicate account (excluding current entry)
+        const entryKey = this.getEntryKey({ platform: platformName, username: platformUsername });
         const duplicateEntry = this.entries.find(entry => 
-            entry.platform.toLowerCase() === platformName.toLowerCase() && 
+            this.getEntryKey(entry) === entryKey && 
             entry.id !== this.editingEntryId
         );
 
         if (duplicateEntry) {
-            alert('An entry for this platform already exists!');
+            alert('An entry for this platform and username already exists!');
             return;
         }
 
+        const previous = this.entries[entryIndex];
+        const now = new Date().toISOString();
         this.entries[entryIndex] = {
-            ...this.entries[entryIndex],
+            ...previous,
             platform: this.capitalizePlatform(platformName),
             username: platformUsername,
             password: platformPassword,
-            updatedAt: new Date().toISOString()
+            urls: urls,
+            strength: this.scorePassword(platformPassword, [platformName, platformUsername]),
+            updatedAt: now,
+            // Only a new password resets its age in the health report
+            passwordChangedAt: previous.password !== platformPassword ? now : previous.passwordChangedAt || previous.createdAt
         };
+        this.breachCounts.delete(this.editingEntryId); // Result was for the old password
 
         await this.saveUserEntries();
         this.renderEntries();
@@ -359,6 +737,662 @@ class PasswordVault {
         alert('Password entry deleted successfully!');
     }
 
+    openChangePasswordModal() {
+        document.getElementById('changePasswordModal').style.display = 'block';
+    }
+
+    closeChangePasswordModal() {
+        document.getElementById('changePasswordModal').style.display = 'none';
+        document.getElementById('changePasswordForm').reset();
+    }
+
+    async handleChangePassword() {
+        const currentPassword = document.getElementById('currentMasterPassword').value;
+        const newPassword = document.getElementById('newMasterPassword').value;
+        const confirmPassword = document.getElementById('confirmNewMasterPassword').value;
+
+        if (newPassword !== confirmPassword) {
+            alert('New passwords do not match!');
+            return;
+        }
+
+        if (newPassword.length < 8) {
+            alert('Password must be at least 8 characters long!');
+            return;
+        }
+
+        if (this.vaultLoadFailed) {
+            alert('Your vault could not be decrypted, so the master password cannot be changed.');
+            return;
+        }
+
+        const email = this.currentUser.email;
+        const userDataKey = `entries_${email}`;
+        const users = JSON.parse(localStorage.getItem('users') || '{}');
+        const user = users[email];
+
+        if (!user || !(await cryptoUtils.verifyPassword(currentPassword, user.hashedPassword))) {
+            alert('Current password is incorrect!');
+            return;
+        }
+
+        const previousEncryptedData = localStorage.getItem(userDataKey);
+
+        try {
+            // Prepare everything before touching storage so a failure leaves the old vault as it was
+            let entries = [];
+            if (previousEncryptedData) {
+                entries = JSON.parse(await cryptoUtils.decryptWithKey(previousEncryptedData, this.sessionKey));
+            }
+
+            const newSessionKey = await cryptoUtils.createSessionKey(newPassword);
+            const newEncryptedData = await cryptoUtils.encryptWithKey(JSON.stringify(entries), newSessionKey);
+            const newHashedPassword = await cryptoUtils.hashPassword(newPassword);
+
+            // Make sure the new ciphertext opens before it replaces the old one
+            await cryptoUtils.decryptWithKey(newEncryptedData, newSessionKey);
+
+            const updatedUser = {
+                ...user,
+                hashedPassword: newHashedPassword,
+                passwordChangedAt: new Date().toISOString()
+            };
+
+            localStorage.setItem(userDataKey, newEncryptedData);
+            try {
+                localStorage.setItem('users', JSON.stringify({ ...users, [email]: updatedUser }));
+            } catch (error) {
+                // Roll back so the vault still matches the stored password hash
+                if (previousEncryptedData) {
+                    localStorage.setItem(userDataKey, previousEncryptedData);
+                } else {
+                    localStorage.removeItem(userDataKey);
+                }
+                throw error;
+            }
+
+            this.currentUser = updatedUser;
+            this.sessionKey = newSessionKey;
+            this.entries = entries;
+            localStorage.setItem('currentUser', JSON.stringify(updatedUser));
+
+            this.renderEntries();
+            this.closeChangePasswordModal();
+
+            // Refresh extension state
+            this.notifyExtension('user_logged_in', { email: email });
+            this.notifyExtension('entries_updated', this.entries);
+            this.shareVaultRecord();
+
+            alert('Master password changed successfully!');
+        } catch (error) {
+            console.error('Change password error:', error);
+            alert('Failed to change master password. Your vault was not modified.');
+        }
+    }
+
+    openModal(modalId) {
+        document.getElementById(modalId).style.display = 'block';
+    }
+
+    closeModalById(modalId) {
+        const modal = document.getElementById(modalId);
+        modal.style.display = 'none';
+        modal.querySelectorAll('form').forEach(form => form.reset());
+
+        if (modalId === 'importModal') {
+            this.pendingImport = null;
+            document.getElementById('importPreview').classList.add('hidden');
+            this.updateImportSourceFields();
+        }
+    }
+
+    async handleExportBackup() {
+        const passphrase = document.getElementById('exportPassphrase').value;
+        const confirmPassphrase = document.getElementById('confirmExportPassphrase').value;
+
+        if (passphrase !== confirmPassphrase) {
+            alert('Passphrases do not match!');
+            return;
+        }
+
+        if (passphrase.length < 8) {
+            alert('Passphrase must be at least 8 characters long!');
+            return;
+        }
+
+        try {
+            const backup = await vaultBackup.createBackup(this.entries, passphrase, this.currentUser.email);
+            const date = new Date().toISOString().slice(0, 10);
+            this.downloadFile(`securevault-backup-${date}${vaultBackup.fileExtension}`, backup, 'application/json');
+
+            this.closeModalById('exportModal');
+            alert(`Backup exported with ${this.entries.length} entries.`);
+        } catch (error) {
+            console.error('Export error:', error);
+            alert('Failed to export backup. Please try again.');
+        }
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    updateImportSourceFields() {
+        const isBackup = document.getElementById('importSource').value === 'svault';
+        const passphraseInput = document.getElementById('importPassphrase');
+
+        passphraseInput.closest('.input-group').classList.toggle('hidden', !isBackup);
+        passphraseInput.required = isBackup;
+    }
+
+    async handleImport() {
+        const source = document.getElementById('importSource').value;
+        const file = document.getElementById('importBackupFile').files[0];
+
+        if (!file) {
+            alert('Please choose a file to import!');
+            return;
+        }
+
+        if (source === 'svault') {
+            await this.handleImportBackup(file);
+        } else {
+            await this.handleImportExternal(file, source);
+        }
+    }
+
+    async handleImportExternal(file, format) {
+        try {
+            const result = passwordImporter.parse(await file.text(), format);
+
+            if (result.entries.length === 0) {
+                alert('No login entries were found in this file.');
+                return;
+            }
+
+            this.showImportPreview(result.entries, `${passwordImporter.formats[result.format]} export (${result.entries.length} entries)`);
+        } catch (error) {
+            console.error('Import error:', error);
+            alert(`Could not read this file: ${error.message}`);
+        }
+    }
+
+    async handleImportBackup(file) {
+        const passphrase = document.getElementById('importPassphrase').value;
+
+        try {
+            const { entries, metadata } = await vaultBackup.readBackup(await file.text(), passphrase);
+            const exportedAt = metadata.exportedAt ? new Date(metadata.exportedAt).toLocaleString() : 'unknown date';
+
+            this.showImportPreview(entries, `Backup of ${metadata.account || 'unknown account'} from ${exportedAt} (${entries.length} entries)`);
+        } catch (error) {
+            console.error('Import error:', error);
+            alert('Could not open backup. Check the passphrase and that the file is a SecureVault backup.');
+        }
+    }
+
+    getEntryKey(entry) {
+        return `${entry.platform.toLowerCase()}|${entry.username.toLowerCase()}`;
+    }
+
+    generateEntryId() {
+        const random = Array.from(cryptoUtils.generateRandomBytes(4), b => b.toString(16).padStart(2, '0')).join('');
+        return `${Date.now()}${random}`;
+    }
+
+    /**
+     * Normalize an imported entry onto the vault entry model with a fresh id
+     */
+    normalizeImportedEntry(entry) {
+        if (!entry || typeof entry.platform !== 'string' || typeof entry.password !== 'string' || !entry.platform.trim()) {
+            return null;
+        }
+
+        const createdAt = entry.createdAt || new Date().toISOString();
+
+        return {
+            ...entry,
+            id: this.generateEntryId(),
+            platform: this.capitalizePlatform(entry.platform.trim()),
+            username: typeof entry.username === 'string' ? entry.username.trim() : '',
+            urls: this.normalizeImportedUrls(entry),
+            strength: this.scorePassword(entry.password, [entry.platform, entry.username]),
+            createdAt,
+            passwordChangedAt: entry.passwordChangedAt || createdAt
+        };
+    }
+
+    /**
+     * Backups carry a urls list; external exports carry a single url
+     */
+    normalizeImportedUrls(entry) {
+        if (Array.isArray(entry.urls)) {
+            return entry.urls
+                .filter(rule => rule && typeof rule.url === 'string' && rule.url.trim())
+                .map(rule => ({
+                    url: rule.url.trim(),
+                    match: siteMatcher.matchModes[rule.match] ? rule.match : siteMatcher.defaultMode
+                }));
+        }
+
+        if (typeof entry.url === 'string' && entry.url.trim()) {
+            return [{ url: entry.url.trim(), match: siteMatcher.defaultMode }];
+        }
+
+        return [];
+    }
+
+    /**
+     * Compare incoming entries with the vault, keyed on platform and username
+     */
+    showImportPreview(importedEntries, description) {
+        const existingByKey = new Map(this.entries.map(entry => [this.getEntryKey(entry), entry]));
+        const seenKeys = new Set();
+        const items = [];
+
+        importedEntries.map(entry => this.normalizeImportedEntry(entry)).filter(Boolean).forEach(entry => {
+            const key = this.getEntryKey(entry);
+            if (seenKeys.has(key)) {
+                return; // Duplicate inside the import itself
+            }
+            seenKeys.add(key);
+
+            const existing = existingByKey.get(key);
+            let status = 'new';
+            if (existing) {
+                status = existing.password === entry.password ? 'identical' : 'conflict';
+            }
+
+            items.push({ entry, existing, status });
+        });
+
+        this.pendingImport = { items };
+
+        const counts = { new: 0, conflict: 0, identical: 0 };
+        items.forEach(item => counts[item.status]++);
+
+        document.getElementById('importSummary').textContent =
+            `${description}: ${counts.new} new, ${counts.conflict} conflicting, ${counts.identical} already in your vault.`;
+
+        document.getElementById('importPreviewList').innerHTML = items.map((item, index) => `
+            <li class="import-item import-${item.status}">
+                <span class="import-badge">${item.status === 'new' ? 'New' : item.status === 'conflict' ? 'Conflict' : 'Unchanged'}</span>
+                <span class="import-entry">${this.escapeHtml(item.entry.platform)} &middot; ${this.escapeHtml(item.entry.username || '(no username)')}</span>
+                ${item.status === 'conflict' ? `
+                    <label class="import-overwrite">
+                        <input type="checkbox" data-import-index="${index}"> Overwrite
+                    </label>
+                ` : ''}
+            </li>
+        `).join('');
+
+        document.getElementById('importPreview').classList.remove('hidden');
+    }
+
+    async applyImport(mode) {
+        if (!this.pendingImport) {
+            return;
+        }
+
+        const items = this.pendingImport.items;
+
+        if (mode === 'replace') {
+            if (!confirm(`Replace all ${this.entries.length} entries in your vault with ${items.length} imported entries?`)) {
+                return;
+            }
+
+            this.entries = items.map(item => item.entry);
+        } else {
+            const overwrite = new Set(
+                Array.from(document.querySelectorAll('#importPreviewList input[data-import-index]:checked'))
+                    .map(input => parseInt(input.dataset.importIndex, 10))
+            );
+
+            items.forEach((item, index) => {
+                if (item.status === 'new') {
+                    this.entries.push(item.entry);
+                } else if (item.status === 'conflict' && overwrite.has(index)) {
+                    const entryIndex = this.entries.findIndex(entry => entry.id === item.existing.id);
+                    const now = new Date().toISOString();
+                    this.entries[entryIndex] = {
+                        ...item.entry,
+                        id: item.existing.id,
+                        createdAt: item.existing.createdAt,
+                        updatedAt: now,
+                        passwordChangedAt: item.entry.password !== item.existing.password
+                            ? item.entry.passwordChangedAt || now
+                            : item.existing.passwordChangedAt || item.existing.createdAt
+                    };
+                }
+            });
+        }
+
+        await this.saveUserEntries();
+        this.renderEntries();
+        this.closeModalById('importModal');
+
+        alert('Import completed successfully!');
+    }
+
+    loadGeneratorSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('generatorSettings') || '{}');
+            return { ...passwordGenerator.defaults, ...saved };
+        } catch (error) {
+            return { ...passwordGenerator.defaults };
+        }
+    }
+
+    saveGeneratorSettings() {
+        localStorage.setItem('generatorSettings', JSON.stringify(this.generatorSettings));
+    }
+
+    setInputValue(inputId, value) {
+        const input = document.getElementById(inputId);
+        input.value = value;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Generate with the remembered settings straight into the given field
+     */
+    fillGeneratedPassword(targetId) {
+        try {
+            this.setInputValue(targetId, passwordGenerator.generate(this.generatorSettings));
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    openGenerator(targetId) {
+        this.generatorTarget = targetId;
+        this.renderGeneratorForm();
+        this.refreshGeneratorOutput();
+        this.openModal('generatorModal');
+    }
+
+    renderGeneratorForm() {
+        const settings = this.generatorSettings;
+
+        document.getElementById('generatorMode').value = settings.mode;
+        document.getElementById('generatorLength').value = settings.length;
+        document.getElementById('generatorLowercase').checked = settings.lowercase;
+        document.getElementById('generatorUppercase').checked = settings.uppercase;
+        document.getElementById('generatorDigits').checked = settings.digits;
+        document.getElementById('generatorSymbols').checked = settings.symbols;
+        document.getElementById('generatorExcludeLookAlikes').checked = settings.excludeLookAlikes;
+        document.getElementById('generatorWords').value = settings.words;
+        document.getElementById('generatorSeparator').value = settings.separator;
+        document.getElementById('generatorCapitalize').checked = settings.capitalize;
+        document.getElementById('generatorIncludeNumber').checked = settings.includeNumber;
+
+        document.getElementById('generatorLengthValue').textContent = settings.length;
+        document.getElementById('generatorWordsValue').textContent = settings.words;
+        document.getElementById('generatorPasswordOptions').classList.toggle('hidden', settings.mode !== 'password');
+        document.getElementById('generatorPassphraseOptions').classList.toggle('hidden', settings.mode !== 'passphrase');
+    }
+
+    updateGeneratorSettings() {
+        this.generatorSettings = {
+            mode: document.getElementById('generatorMode').value,
+            length: parseInt(document.getElementById('generatorLength').value, 10),
+            lowercase: document.getElementById('generatorLowercase').checked,
+            uppercase: document.getElementById('generatorUppercase').checked,
+            digits: document.getElementById('generatorDigits').checked,
+            symbols: document.getElementById('generatorSymbols').checked,
+            excludeLookAlikes: document.getElementById('generatorExcludeLookAlikes').checked,
+            words: parseInt(document.getElementById('generatorWords').value, 10),
+            separator: document.getElementById('generatorSeparator').value,
+            capitalize: document.getElementById('generatorCapitalize').checked,
+            includeNumber: document.getElementById('generatorIncludeNumber').checked
+        };
+
+        this.saveGeneratorSettings();
+        this.renderGeneratorForm();
+        this.refreshGeneratorOutput();
+    }
+
+    refreshGeneratorOutput() {
+        const output = document.getElementById('generatorOutput');
+        try {
+            output.value = passwordGenerator.generate(this.generatorSettings);
+        } catch (error) {
+            output.value = '';
+            output.placeholder = error.message;
+        }
+    }
+
+    useGeneratedPassword() {
+        const value = document.getElementById('generatorOutput').value;
+        if (!value) {
+            return;
+        }
+
+        if (this.generatorTarget) {
+            this.setInputValue(this.generatorTarget, value);
+        }
+        this.closeModalById('generatorModal');
+    }
+
+    openHealthReport() {
+        document.getElementById('healthMaxAge').value = String(this.healthMaxAgeDays);
+        document.getElementById('breachServerUrl').value = localStorage.getItem('breachServerUrl') || '';
+        this.updateBreachSourceFields();
+        this.renderHealthReport();
+        this.openModal('healthModal');
+    }
+
+    setHealthMaxAgeDays(days) {
+        this.healthMaxAgeDays = days;
+        localStorage.setItem('healthMaxAgeDays', String(days));
+        this.renderHealthReport();
+
+        this.notifyExtension('settings_updated', { healthMaxAgeDays: days });
+    }
+
+    renderHealthReport() {
+        const report = vaultHealth.analyze(this.entries, {
+            maxAgeDays: this.healthMaxAgeDays,
+            breachCounts: this.breachCounts
+        });
+
+        document.getElementById('healthScore').textContent = report.score;
+
+        const entryLink = entry => `
+            <li>
+                <button type="button" class="link-btn" onclick="vault.openEditFromHealth('${entry.id}')">
+                    ${this.escapeHtml(entry.platform)} &middot; ${this.escapeHtml(entry.username || '(no username)')}
+                </button>
+            </li>
+        `;
+
+        const section = (title, description, items) => items.length === 0 ? '' : `
+            <div class="health-section">
+                <h4>${title} <span class="health-count">${items.length}</span></h4>
+                <p>${description}</p>
+                <ul>${items.join('')}</ul>
+            </div>
+        `;
+
+        const html = [
+            section('Breached passwords', 'These passwords appear in known breach data. Change them now.', report.breached.map(entryLink)),
+            section('Reused passwords', 'The same password is used on more than one platform.',
+                report.reused.map(group => `<li class="health-group"><ul>${group.map(entryLink).join('')}</ul></li>`)),
+            section('Weak passwords', 'These passwords are easy to guess.', report.weak.map(entryLink)),
+            section('Old passwords', `Unchanged for more than ${report.maxAgeDays} days.`, report.stale.map(entryLink)),
+            section('Missing username', 'These entries cannot be autofilled completely.', report.missingUsername.map(entryLink))
+        ].join('');
+
+        document.getElementById('healthFindings').innerHTML = html ||
+            '<p class="health-empty"><i class="fas fa-check-circle"></i> No issues found. Your vault is in good shape!</p>';
+    }
+
+    updateBreachSourceFields() {
+        const type = document.getElementById('breachSourceType').value;
+
+        document.getElementById('breachDirectory').classList.toggle('hidden', type !== 'directory');
+        document.getElementById('breachFile').classList.toggle('hidden', type !== 'file');
+        document.getElementById('breachServerUrl').classList.toggle('hidden', type !== 'http');
+    }
+
+    /**
+     * Build the breach lookup source from the health modal controls
+     */
+    getBreachSource() {
+        const type = document.getElementById('breachSourceType').value;
+
+        if (type === 'http') {
+            const url = document.getElementById('breachServerUrl').value.trim();
+            if (!url) {
+                throw new Error('Enter the range server URL.');
+            }
+            localStorage.setItem('breachServerUrl', url);
+            return new HttpRangeSource(url);
+        }
+
+        const files = document.getElementById(type === 'directory' ? 'breachDirectory' : 'breachFile').files;
+        if (!files.length) {
+            throw new Error('Choose the breach data to check against.');
+        }
+        return new LocalRangeSource(files);
+    }
+
+    async runBreachCheck() {
+        const status = document.getElementById('breachStatus');
+
+        try {
+            breachChecker.setSource(this.getBreachSource());
+            status.textContent = `Checking ${this.entries.length} passwords...`;
+
+            this.breachCounts = await breachChecker.checkEntries(this.entries);
+
+            const breachedCount = Array.from(this.breachCounts.values()).filter(count => count > 0).length;
+            status.textContent = `Checked ${this.entries.length} passwords against ${breachChecker.source.description}: ${breachedCount} found in breaches.`;
+
+            this.renderEntries();
+            this.renderHealthReport();
+        } catch (error) {
+            console.error('Breach check error:', error);
+            status.textContent = `Breach check failed: ${error.message}`;
+        }
+    }
+
+    openEditFromHealth(entryId) {
+        // Come back to the refreshed report once the edit modal closes
+        this.closeModalById('healthModal');
+        this.returnToHealth = true;
+        this.openEditModal(entryId);
+    }
+
+    scorePassword(password, userInputs = []) {
+        return passwordStrength.estimate(password, userInputs).score;
+    }
+
+    updateStrengthMeter(meter) {
+        const password = document.getElementById(meter.dataset.strengthFor).value;
+        const userInputs = (meter.dataset.strengthInputs || '').split(' ')
+            .filter(Boolean)
+            .map(id => document.getElementById(id).value);
+
+        const bar = meter.querySelector('.strength-bar span');
+        const text = meter.querySelector('.strength-text');
+
+        if (!password) {
+            meter.className = 'strength-meter';
+            bar.style.width = '0';
+            text.textContent = '';
+            return;
+        }
+
+        const result = passwordStrength.estimate(password, userInputs);
+        meter.className = `strength-meter score-${result.score}`;
+        bar.style.width = `${(result.score + 1) * 20}%`;
+        text.textContent = [result.label, result.feedback.warning, result.feedback.suggestions[0]]
+            .filter(Boolean)
+            .join(' - ');
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    addUrlRow(list, rule = {}) {
+        const row = document.createElement('div');
+        row.className = 'url-row';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'url-input';
+        input.placeholder = 'https://example.com/login';
+        input.value = rule.url || '';
+
+        const select = document.createElement('select');
+        select.className = 'url-match';
+        Object.entries(siteMatcher.matchModes).forEach(([mode, label]) => {
+            select.add(new Option(label, mode, false, mode === (rule.match || siteMatcher.defaultMode)));
+        });
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'url-remove';
+        remove.title = 'Remove URL';
+        remove.innerHTML = '<i class="fas fa-times"></i>';
+        remove.addEventListener('click', () => row.remove());
+
+        row.append(input, select, remove);
+        list.appendChild(row);
+        return row;
+    }
+
+    renderUrlRows(list, urls) {
+        list.innerHTML = '';
+        (urls || []).forEach(rule => this.addUrlRow(list, rule));
+    }
+
+    /**
+     * Collect { url, match } rules from a URL list; returns null after alerting on an invalid row
+     */
+    readUrlRows(list) {
+        const urls = [];
+
+        for (const row of list.querySelectorAll('.url-row')) {
+            const url = row.querySelector('.url-input').value.trim();
+            const match = row.querySelector('.url-match').value;
+            if (!url) {
+                continue;
+            }
+
+            if (match === 'regex') {
+                try {
+                    new RegExp(url);
+                } catch (error) {
+                    alert(`Invalid regular expression: ${url}`);
+                    return null;
+                }
+            } else if (!siteMatcher.parseUrl(url)) {
+                alert(`Invalid website URL: ${url}`);
+                return null;
+            }
+
+            urls.push({ url, match });
+        }
+
+        return urls;
+    }
+
     capitalizePlatform(platform) {
         return platform.charAt(0).toUpperCase() + platform.slice(1).toLowerCase();
     }
@@ -374,6 +1408,13 @@ class PasswordVault {
         }
 
         emptyState.style.display = 'none';
+
+        // Score entries saved before strength was tracked; stored on the next save
+        this.entries.forEach(entry => {
+            if (typeof entry.strength !== 'number') {
+                entry.strength = this.scorePassword(entry.password, [entry.platform, entry.username]);
+            }
+        });
         
         entriesList.innerHTML = this.entries.map(entry => `
             <div class="entry-card">
@@ -381,8 +1422,17 @@ class PasswordVault {
                     ${this.getPlatformLogo(entry.platform)}
                 </div>
                 <div class="entry-details">
-                    <div class="platform-name">${entry.platform}</div>
-                    <div class="username-display">Username: ${entry.username}</div>
+                    <div class="platform-name">
+                        ${this.escapeHtml(entry.platform)}
+                        ${entry.strength <= 1 ? `<span class="entry-flag weak" title="${passwordStrength.labels[entry.strength]} password">Weak password</span>` : ''}
+                        ${this.breachCounts.get(entry.id) > 0 ? `<span class="entry-flag breached" title="Seen ${this.breachCounts.get(entry.id)} times in breach data">Breached</span>` : ''}
+                    </div>
+                    <div class="username-display">
+                        Username: ${this.escapeHtml(entry.username)}
+                        <button class="toggle-password" title="Copy username" onclick="vault.copyEntryField('${entry.id}', 'username', this)">
+                            <i class="fas fa-copy"></i>
+                        </button>
+                    </div>
                     <div class="password-container">
                         <span class="password-display" data-entry-id="${entry.id}">
                             ${'#'.repeat(entry.password.length)}
@@ -390,6 +1440,9 @@ class PasswordVault {
                         <button class="toggle-password" onclick="vault.togglePassword('${entry.id}')">
                             <i class="fas fa-eye"></i>
                         </button>
+                        <button class="toggle-password" title="Copy password" onclick="vault.copyEntryField('${entry.id}', 'password', this)">
+                            <i class="fas fa-copy"></i>
+                        </button>
                     </div>
                 </div>
                 <div class="entry-actions">
@@ -405,21 +1458,28 @@ class PasswordVault {
     }
 
     getPlatformLogo(platform) {
-        // Try to get logo from various sources
-        const platformLower = platform.toLowerCase();
-        
+        // Platform names come from imports and the extension, so only hostname characters reach the URL
+        const platformLower = String(platform).toLowerCase().replace(/[^a-z0-9-]/g, '');
+        const fallback = `
+            <div style="display: ${platformLower ? 'none' : 'flex'}; width: 100%; height: 100%; align-items: center; justify-content: center; background: #f8f9fa; border-radius: 8px;">
+                <i class="fas fa-globe" style="font-size: 24px; color: #667eea;"></i>
+            </div>
+        `;
+
+        if (!platformLower) {
+            return fallback;
+        }
+
         // First try: Use a logo API service
         const logoUrl = `https://logo.clearbit.com/${platformLower}.com`;
         
         // Return img element with fallback to icon
         return `
-            <img src="${logoUrl}" 
-                 alt="${platform}" 
+            <img src="${this.escapeHtml(logoUrl)}" 
+                 alt="${this.escapeHtml(platform)}" 
                  onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';"
                  style="width: 100%; height: 100%; object-fit: cover; border-radius: 8px;">
-            <div style="display: none; width: 100%; height: 100%; align-items: center; justify-content: center; background: #f8f9fa; border-radius: 8px;">
-                <i class="fas fa-globe" style="font-size: 24px; color: #667eea;"></i>
-            </div>
+            ${fallback}
         `;
     }
 
@@ -450,6 +1510,8 @@ class PasswordVault {
         document.getElementById('editPlatformName').value = entry.platform;
         document.getElementById('editPlatformUsername').value = entry.username;
         document.getElementById('editPlatformPassword').value = entry.password;
+        this.renderUrlRows(document.getElementById('editEntryUrls'), entry.urls);
+        this.updateStrengthMeter(document.querySelector('[data-strength-for="editPlatformPassword"]'));
         
         document.getElementById('editModal').style.display = 'block';
     }
@@ -458,63 +1520,292 @@ class PasswordVault {
         document.getElementById('editModal').style.display = 'none';
         this.editingEntryId = null;
         document.getElementById('editEntryForm').reset();
+
+        if (this.returnToHealth) {
+            this.returnToHealth = false;
+            if (this.sessionKey) {
+                this.openHealthReport();
+            }
+        }
     }
 
     // Chrome Extension Communication
     notifyExtension(action, data = null) {
-        // Post message to Chrome extension content script
-        window.postMessage({
-            type: 'VAULT_UPDATE',
-            action: action,
-            data: data,
-            timestamp: Date.now()
-        }, '*');
-
-        // Also try to communicate with extension directly if available
-        if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
-            chrome.runtime.sendMessage({
-                type: 'VAULT_UPDATE',
-                action: action,
-                data: data,
-                timestamp: Date.now()
-            }).catch(() => {
-                // Extension not available, ignore error
+        // Signing is async, so messages are queued to keep their counters in order
+        this.extensionQueue = this.extensionQueue
+            .then(() => this.sendToExtension(action, data))
+            .catch((error) => {
+                console.error('Error notifying extension:', error);
             });
+    }
+
+    /**
+     * Post a signed update to this window only, where the extension's content script picks it up;
+     * nothing is sent until the extension is paired
+     */
+    async sendToExtension(action, data) {
+        if (!this.extensionPairing) {
+            return;
         }
+
+        // Time-based so several tabs of the web app keep counting up
+        this.extensionPairing.counter = Math.max(this.extensionPairing.counter + 1, Date.now());
+        this.saveExtensionPairing();
+
+        const envelope = await vaultChannel.seal(this.extensionPairing.key, {
+            from: 'webapp',
+            action,
+            data,
+            counter: this.extensionPairing.counter
+        });
+
+        window.postMessage({ type: 'VAULT_UPDATE', ...envelope }, window.location.origin);
     }
 
-    // Public method to get password for a domain (for Chrome extension)
-    getPasswordForDomain(domain) {
-        if (!this.currentUser || !this.entries) {
+    /**
+     * Give the extension the still-encrypted vault and the password hash, so its popup can unlock
+     * with the master password while the web app is closed
+     */
+    shareVaultRecord() {
+        if (!this.currentUser) {
+            return;
+        }
+
+        this.notifyExtension('vault_record_updated', {
+            email: this.currentUser.email,
+            hashedPassword: this.currentUser.hashedPassword,
+            encryptedData: localStorage.getItem(`entries_${this.currentUser.email}`)
+        });
+    }
+
+    loadExtensionPairing() {
+        try {
+            const pairing = JSON.parse(localStorage.getItem('extensionPairing') || 'null');
+            return pairing && typeof pairing.key === 'string' ? pairing : null;
+        } catch (error) {
             return null;
         }
+    }
 
-        // Try to match domain with platform names
-        const normalizedDomain = domain.toLowerCase().replace('www.', '');
-        
-        for (const entry of this.entries) {
-            const platformLower = entry.platform.toLowerCase();
-            
-            // Direct match
-            if (normalizedDomain.includes(platformLower) || platformLower.includes(normalizedDomain)) {
-                return {
-                    platform: entry.platform,
-                    username: entry.username,
-                    password: entry.password
-                };
+    saveExtensionPairing() {
+        if (this.extensionPairing) {
+            localStorage.setItem('extensionPairing', JSON.stringify(this.extensionPairing));
+        } else {
+            localStorage.removeItem('extensionPairing');
+        }
+    }
+
+    /**
+     * Ask the extension to pair; if it is installed, its content script answers with the code to confirm
+     */
+    requestExtensionPairing() {
+        if (this.extensionPairing || !this.sessionKey) {
+            return;
+        }
+
+        window.postMessage({ type: 'EXTENSION_PAIR_REQUEST' }, window.location.origin);
+    }
+
+    showPairingCode(code) {
+        document.getElementById('pairingBannerText').textContent =
+            `To connect the SecureVault extension, open its popup and approve the code ${code}.`;
+        document.getElementById('pairingBanner').classList.remove('hidden');
+    }
+
+    /**
+     * The user approved pairing in the extension popup; bring the extension up to date
+     */
+    completeExtensionPairing(key) {
+        if (typeof key !== 'string' || !key) {
+            return;
+        }
+
+        this.extensionPairing = { key, counter: 0, receivedCounter: 0 };
+        this.saveExtensionPairing();
+        document.getElementById('pairingBanner').classList.add('hidden');
+
+        if (this.sessionKey) {
+            this.notifyExtension('user_logged_in', { email: this.currentUser.email });
+            this.notifyExtension('settings_updated', {
+                autoLockMinutes: this.autoLockMinutes,
+                healthMaxAgeDays: this.healthMaxAgeDays,
+                clipboardClearSeconds: this.clipboardClearSeconds
+            });
+            this.notifyExtension('entries_updated', this.entries);
+            this.shareVaultRecord();
+        }
+    }
+
+    /**
+     * The extension no longer knows our key (reinstalled, or pairing removed): forget it and pair again
+     */
+    resetExtensionPairing() {
+        if (!this.extensionPairing) {
+            return; // Already reset by an earlier rejected message
+        }
+
+        this.extensionPairing = null;
+        this.saveExtensionPairing();
+        this.requestExtensionPairing();
+    }
+
+    /**
+     * Queued logins, popup edits and locks from the extension, accepted only with a valid signature
+     * from the paired extension and a counter newer than the last one
+     */
+    async receiveExtensionMessage(envelope) {
+        if (!this.extensionPairing) {
+            return;
+        }
+
+        const message = await vaultChannel.open(this.extensionPairing.key, envelope);
+        if (!message || message.from !== 'extension' || !(message.counter > this.extensionPairing.receivedCounter)) {
+            console.warn('Rejected unauthenticated message from the extension');
+            return;
+        }
+
+        this.extensionPairing.receivedCounter = message.counter;
+        this.saveExtensionPairing();
+
+        switch (message.action) {
+            case 'save_credentials':
+                await this.saveCredentialsFromExtension(message.data);
+                break;
+
+            case 'vault_locked':
+                // The extension locked on idle, system lock or by hand; the web app follows
+                this.handleLock();
+                break;
+        }
+    }
+
+    /**
+     * Store logins the user chose to save from the extension's save prompt; an entryId (or a
+     * matching platform and username) updates that entry's password instead of adding one.
+     * Entries added, edited or deleted in the popup arrive the same way, marked with op.
+     * Stored changes are acknowledged by changeId so the extension can drop them from its queue;
+     * while locked nothing is acknowledged and the extension keeps them
+     */
+    async saveCredentialsFromExtension(credentials) {
+        if (!this.sessionKey || !Array.isArray(credentials)) {
+            return;
+        }
+
+        // The queue is resent until acknowledged, so a change may arrive twice
+        const fresh = credentials.filter(credential => credential && !this.storedExtensionChanges.has(credential.changeId));
+        if (fresh.length) {
+            this.applyExtensionChanges(fresh);
+            if (!(await this.saveUserEntries())) {
+                return;
             }
-            
-            // Try with .com extension
-            if (normalizedDomain.includes(platformLower + '.com') || (platformLower + '.com').includes(normalizedDomain)) {
-                return {
-                    platform: entry.platform,
-                    username: entry.username,
-                    password: entry.password
-                };
+            this.renderEntries();
+            fresh.forEach(credential => this.storedExtensionChanges.add(credential.changeId));
+        }
+
+        this.notifyExtension('saves_stored', {
+            changeIds: credentials.map(credential => credential && credential.changeId).filter(Boolean)
+        });
+    }
+
+    applyExtensionChanges(credentials) {
+        const now = new Date().toISOString();
+        credentials.forEach(credential => {
+            if (credential && credential.op === 'delete') {
+                this.entries = this.entries.filter(entry => entry.id !== credential.entryId);
+                this.breachCounts.delete(credential.entryId);
+                return;
+            }
+
+            if (credential && credential.op === 'edit') {
+                this.applyExtensionEdit(credential.entry, now);
+                return;
             }
+
+            if (!credential || typeof credential.password !== 'string' || !credential.password) {
+                return;
+            }
+
+            const platform = this.capitalizePlatform(String(credential.platform || 'Website').trim());
+            const username = String(credential.username || '').trim();
+            const key = this.getEntryKey({ platform, username });
+            const existing = this.entries.find(entry => entry.id === credential.entryId) ||
+                this.entries.find(entry => this.getEntryKey(entry) === key);
+
+            if (existing) {
+                existing.passwordChangedAt = existing.password !== credential.password
+                    ? now
+                    : existing.passwordChangedAt || existing.createdAt;
+                existing.password = credential.password;
+                existing.strength = this.scorePassword(credential.password, [existing.platform, existing.username]);
+                existing.updatedAt = now;
+                this.breachCounts.delete(existing.id);
+                return;
+            }
+
+            this.entries.push({
+                id: this.extensionEntryId(credential.entryId),
+                platform,
+                username,
+                password: credential.password,
+                urls: credential.url ? [{ url: credential.url, match: siteMatcher.defaultMode }] : [],
+                strength: this.scorePassword(credential.password, [platform, username]),
+                createdAt: now,
+                passwordChangedAt: now
+            });
+        });
+    }
+
+    /**
+     * Add or replace one entry edited in the popup, with the same checks as the add and edit forms
+     */
+    applyExtensionEdit(edited, now) {
+        if (!edited || typeof edited.password !== 'string' || !edited.password) {
+            return;
         }
 
-        return null;
+        const platform = String(edited.platform || '').trim();
+        const username = String(edited.username || '').trim();
+        if (!platform || !username) {
+            return;
+        }
+
+        const existing = edited.id ? this.entries.find(entry => entry.id === edited.id) : null;
+        const entryKey = this.getEntryKey({ platform, username });
+        if (this.entries.some(entry => this.getEntryKey(entry) === entryKey && entry !== existing)) {
+            console.warn('Skipped extension edit: an entry for this platform and username already exists');
+            return;
+        }
+
+        const fields = {
+            platform: this.capitalizePlatform(platform),
+            username,
+            password: edited.password,
+            urls: this.normalizeImportedUrls(edited),
+            strength: this.scorePassword(edited.password, [platform, username])
+        };
+
+        if (existing) {
+            if (existing.password !== edited.password) {
+                this.breachCounts.delete(existing.id); // Result was for the old password
+                existing.passwordChangedAt = now;
+            }
+            Object.assign(existing, fields, {
+                updatedAt: now,
+                passwordChangedAt: existing.passwordChangedAt || existing.createdAt
+            });
+            return;
+        }
+
+        this.entries.push({ id: this.extensionEntryId(edited.id), ...fields, createdAt: now, passwordChangedAt: now });
+    }
+
+    /**
+     * The extension already shows a new entry under the id it gave it; keep that id if well formed
+     */
+    extensionEntryId(id) {
+        return typeof id === 'string' && /^\d+[0-9a-f]{8}$/.test(id) && !this.entries.some(entry => entry.id === id)
+            ? id
+            : this.generateEntryId();
     }
 
     // Demo logos for development (remove in production)
@@ -533,20 +1824,27 @@ const vault = new PasswordVault();
 
 // Listen for messages from Chrome extension
 window.addEventListener('message', (event) => {
-    if (event.data.type === 'EXTENSION_REQUEST') {
-        const { action, domain } = event.data;
-        
-        if (action === 'get_password') {
-            const passwordData = vault.getPasswordForDomain(domain);
-            
-            // Send response back to extension
-            window.postMessage({
-                type: 'VAULT_RESPONSE',
-                action: 'password_data',
-                data: passwordData,
-                requestId: event.data.requestId
-            }, '*');
-        }
+    // The extension's content script posts into this window only; other frames and openers are ignored
+    if (event.source !== window || event.origin !== window.location.origin || !event.data) {
+        return;
+    }
+
+    switch (event.data.type) {
+        case 'EXTENSION_MESSAGE':
+            vault.receiveExtensionMessage(event.data);
+            break;
+
+        case 'EXTENSION_PAIR_PENDING':
+            vault.showPairingCode(event.data.code);
+            break;
+
+        case 'EXTENSION_PAIRED':
+            vault.completeExtensionPairing(event.data.key);
+            break;
+
+        case 'EXTENSION_PAIRING_INVALID':
+            vault.resetExtensionPairing();
+            break;
     }
 });
 
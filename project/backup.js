@@ -0,0 +1,75 @@
+/**
+ * Encrypted backup export/import for SecureVault
+ * A .svault file is JSON metadata plus a CryptoUtils envelope holding the entries
+ */
+
+class VaultBackup {
+    constructor() {
+        this.format = 'securevault-backup';
+        this.version = 1;
+        this.fileExtension = '.svault';
+    }
+
+    /**
+     * Build a backup file for the given entries, encrypted with the passphrase
+     */
+    async createBackup(entries, passphrase, email) {
+        const vault = await cryptoUtils.encrypt(JSON.stringify(entries), passphrase);
+
+        return JSON.stringify({
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            account: email,
+            entryCount: entries.length,
+            vault: vault
+        }, null, 2);
+    }
+
+    /**
+     * Parse a backup file and check its format without decrypting it
+     */
+    parseBackup(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a SecureVault backup file');
+        }
+
+        if (!backup || backup.format !== this.format || typeof backup.vault !== 'string') {
+            throw new Error('Not a SecureVault backup file');
+        }
+
+        if (backup.version > this.version) {
+            throw new Error(`Unsupported backup version: ${backup.version}`);
+        }
+
+        return backup;
+    }
+
+    /**
+     * Decrypt a backup file and return its entries and metadata
+     * Metadata is stored unencrypted and is informational only
+     */
+    async readBackup(text, passphrase) {
+        const backup = this.parseBackup(text);
+        const entries = JSON.parse(await cryptoUtils.decrypt(backup.vault, passphrase));
+
+        if (!Array.isArray(entries)) {
+            throw new Error('Backup does not contain a vault');
+        }
+
+        return {
+            entries: entries,
+            metadata: {
+                exportedAt: backup.exportedAt,
+                account: backup.account,
+                entryCount: backup.entryCount
+            }
+        };
+    }
+}
+
+// Global instance
+window.vaultBackup = new VaultBackup();
@@ -0,0 +1,158 @@
+/**
+ * Offline breached-password checker using k-anonymity range data
+ * Passwords are SHA-1 hashed locally and looked up by 5-character hash prefix in
+ * "range" data (SUFFIX:COUNT lines, as served by the HIBP range API)
+ */
+
+/**
+ * Range source backed by local files chosen by the user
+ * Accepts per-prefix range files (e.g. ABCDE.txt) and full-hash lists (HASH:COUNT lines)
+ */
+class LocalRangeSource {
+    constructor(files) {
+        this.rangeFiles = new Map();
+        this.hashListFiles = [];
+        this.hashListIndex = null; // Built lazily from hashListFiles
+
+        Array.from(files).forEach(file => {
+            const match = file.name.match(/^([0-9a-f]{5})(\.txt)?$/i);
+            if (match) {
+                this.rangeFiles.set(match[1].toUpperCase(), file);
+            } else {
+                this.hashListFiles.push(file);
+            }
+        });
+    }
+
+    get description() {
+        return `${this.rangeFiles.size} range files, ${this.hashListFiles.length} hash lists`;
+    }
+
+    async getRange(prefix) {
+        const lines = [];
+
+        const rangeFile = this.rangeFiles.get(prefix);
+        if (rangeFile) {
+            lines.push(await rangeFile.text());
+        }
+
+        if (this.hashListFiles.length) {
+            const index = await this.getHashListIndex();
+            lines.push(...(index.get(prefix) || []));
+        }
+
+        return lines.join('\n');
+    }
+
+    async getHashListIndex() {
+        if (!this.hashListIndex) {
+            this.hashListIndex = new Map();
+
+            for (const file of this.hashListFiles) {
+                (await file.text()).split(/\r?\n/).forEach(line => {
+                    const match = line.trim().match(/^([0-9a-f]{5})([0-9a-f]{35})(:\d+)?$/i);
+                    if (!match) return;
+
+                    const prefix = match[1].toUpperCase();
+                    if (!this.hashListIndex.has(prefix)) {
+                        this.hashListIndex.set(prefix, []);
+                    }
+                    this.hashListIndex.get(prefix).push(`${match[2]}${match[3] || ':1'}`);
+                });
+            }
+        }
+
+        return this.hashListIndex;
+    }
+}
+
+/**
+ * Range source that queries an HTTP server implementing GET <baseUrl>/range/<prefix>
+ * Intended for a local stand-in; only the hash prefix leaves the page
+ */
+class HttpRangeSource {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    get description() {
+        return this.baseUrl;
+    }
+
+    async getRange(prefix) {
+        const response = await fetch(`${this.baseUrl}/range/${prefix}`);
+
+        if (response.status === 404) {
+            return '';
+        }
+        if (!response.ok) {
+            throw new Error(`Range server returned ${response.status}`);
+        }
+
+        return response.text();
+    }
+}
+
+class BreachChecker {
+    constructor() {
+        this.source = null;
+        this.rangeCache = new Map();
+    }
+
+    setSource(source) {
+        this.source = source;
+        this.rangeCache.clear();
+    }
+
+    async sha1Hex(password) {
+        const hashBuffer = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(password));
+        return Array.from(new Uint8Array(hashBuffer), b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    /**
+     * Find a hash suffix in range data and return its breach count
+     */
+    parseRange(rangeText, suffix) {
+        for (const line of rangeText.split(/\r?\n/)) {
+            const [lineSuffix, count] = line.trim().split(':');
+            if (lineSuffix && lineSuffix.toUpperCase() === suffix) {
+                return parseInt(count, 10) || 1;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Number of times the password appears in the breach data (0 if not found)
+     */
+    async check(password) {
+        if (!this.source) {
+            throw new Error('No breach data source configured');
+        }
+
+        const hash = await this.sha1Hex(password);
+        const prefix = hash.slice(0, 5);
+
+        if (!this.rangeCache.has(prefix)) {
+            this.rangeCache.set(prefix, await this.source.getRange(prefix));
+        }
+
+        return this.parseRange(this.rangeCache.get(prefix), hash.slice(5));
+    }
+
+    /**
+     * Check every entry and return a Map of entry id to breach count
+     */
+    async checkEntries(entries) {
+        const results = new Map();
+
+        for (const entry of entries) {
+            results.set(entry.id, await this.check(entry.password));
+        }
+
+        return results;
+    }
+}
+
+// Global instance
+window.breachChecker = new BreachChecker();
@@ -1,6 +1,7 @@
 /**
  * Crypto utility functions for password encryption/decryption
  * Uses AES-GCM for secure encryption with user's password as key derivation source
+ * Mirrors extension/crypto.js; keep the two copies in sync
  */
 
 class CryptoUtils {
@@ -11,6 +12,38 @@ class CryptoUtils {
         this.saltLength = 16;
         this.tagLength = 16;
         this.iterations = 100000; // PBKDF2 iterations
+        this.hash = 'SHA-256';
+        this.kdfName = 'PBKDF2';
+        this.formatVersion = 1; // Ciphertext envelope version written by encrypt()
+    }
+
+    /**
+     * KDF parameters used for new ciphertext
+     */
+    getKdfParams() {
+        return {
+            name: this.kdfName,
+            hash: this.hash,
+            iterations: this.iterations
+        };
+    }
+
+    /**
+     * Convert bytes to base64 without spreading large arrays onto the stack
+     */
+    bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Convert base64 string back to bytes
+     */
+    base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
     }
 
     /**
@@ -22,8 +55,9 @@ class CryptoUtils {
 
     /**
      * Derive encryption key from password using PBKDF2
+     * kdfParams defaults to the current parameters; pass the ones from an envelope header to read old data
      */
-    async deriveKey(password, salt) {
+    async deriveKey(password, salt, kdfParams = this.getKdfParams()) {
         const encoder = new TextEncoder();
         const passwordBuffer = encoder.encode(password);
         
@@ -36,13 +70,17 @@ class CryptoUtils {
             ['deriveKey']
         );
 
+        if (kdfParams.name !== 'PBKDF2') {
+            throw new Error(`Unsupported KDF: ${kdfParams.name}`);
+        }
+
         // Derive AES key
         return await crypto.subtle.deriveKey(
             {
                 name: 'PBKDF2',
                 salt: salt,
-                iterations: this.iterations,
-                hash: 'SHA-256'
+                iterations: kdfParams.iterations,
+                hash: kdfParams.hash
             },
             keyMaterial,
             {
@@ -55,39 +93,65 @@ class CryptoUtils {
     }
 
     /**
-     * Encrypt data using AES-GCM
+     * Derive a session key once so the vault can be saved and read without the plaintext password
+     * The key is non-extractable and bound to the salt and KDF parameters written into every envelope
      */
-    async encrypt(plaintext, password) {
+    async createSessionKey(password, salt = this.generateRandomBytes(this.saltLength), kdfParams = this.getKdfParams()) {
+        const key = await this.deriveKey(password, salt, kdfParams);
+
+        return {
+            key: key,
+            salt: salt,
+            kdf: {
+                name: kdfParams.name,
+                hash: kdfParams.hash,
+                iterations: kdfParams.iterations
+            }
+        };
+    }
+
+    /**
+     * Derive a session key matching the salt and KDF parameters of existing ciphertext
+     */
+    async createSessionKeyForData(password, encryptedData) {
+        const envelope = this.parseEnvelope(encryptedData);
+        return this.createSessionKey(password, envelope.salt, envelope.kdf);
+    }
+
+    /**
+     * Encrypt data using AES-GCM with a session key
+     * Returns a JSON envelope carrying the format version, KDF parameters, salt and IV
+     */
+    async encryptWithKey(plaintext, session) {
         try {
             const encoder = new TextEncoder();
             const data = encoder.encode(plaintext);
             
-            // Generate random salt and IV
-            const salt = this.generateRandomBytes(this.saltLength);
+            // Fresh IV for every encryption under the same key
             const iv = this.generateRandomBytes(this.ivLength);
             
-            // Derive key from password
-            const key = await this.deriveKey(password, salt);
-            
             // Encrypt data
             const encryptedBuffer = await crypto.subtle.encrypt(
                 {
                     name: this.algorithm,
                     iv: iv
                 },
-                key,
+                session.key,
                 data
             );
             
-            // Combine salt + iv + encrypted data
-            const encrypted = new Uint8Array(encryptedBuffer);
-            const result = new Uint8Array(salt.length + iv.length + encrypted.length);
-            result.set(salt, 0);
-            result.set(iv, salt.length);
-            result.set(encrypted, salt.length + iv.length);
-            
-            // Return as base64 string
-            return btoa(String.fromCharCode(...result));
+            return JSON.stringify({
+                v: this.formatVersion,
+                kdf: {
+                    ...session.kdf,
+                    salt: this.bytesToBase64(session.salt)
+                },
+                cipher: {
+                    name: this.algorithm,
+                    iv: this.bytesToBase64(iv)
+                },
+                data: this.bytesToBase64(new Uint8Array(encryptedBuffer))
+            });
         } catch (error) {
             console.error('Encryption error:', error);
             throw new Error('Failed to encrypt data');
@@ -95,29 +159,99 @@ class CryptoUtils {
     }
 
     /**
-     * Decrypt data using AES-GCM
+     * Encrypt data using AES-GCM with a one-off key derived from password
      */
-    async decrypt(encryptedData, password) {
+    async encrypt(plaintext, password) {
+        const session = await this.createSessionKey(password);
+        return this.encryptWithKey(plaintext, session);
+    }
+
+    /**
+     * Parse stored ciphertext into its header fields and raw bytes
+     * Headerless blobs (salt + IV + ciphertext as bare base64) are read as version 0
+     */
+    parseEnvelope(encryptedData) {
+        if (encryptedData.trim().startsWith('{')) {
+            const envelope = JSON.parse(encryptedData);
+
+            if (!envelope.v || envelope.v > this.formatVersion) {
+                throw new Error(`Unsupported envelope version: ${envelope.v}`);
+            }
+
+            return {
+                version: envelope.v,
+                kdf: {
+                    name: envelope.kdf.name,
+                    hash: envelope.kdf.hash,
+                    iterations: envelope.kdf.iterations
+                },
+                algorithm: envelope.cipher.name,
+                salt: this.base64ToBytes(envelope.kdf.salt),
+                iv: this.base64ToBytes(envelope.cipher.iv),
+                encrypted: this.base64ToBytes(envelope.data)
+            };
+        }
+
+        // Legacy format written before envelopes existed
+        const data = this.base64ToBytes(encryptedData);
+        return {
+            version: 0,
+            kdf: {
+                name: 'PBKDF2',
+                hash: 'SHA-256',
+                iterations: 100000
+            },
+            algorithm: 'AES-GCM',
+            salt: data.slice(0, this.saltLength),
+            iv: data.slice(this.saltLength, this.saltLength + this.ivLength),
+            encrypted: data.slice(this.saltLength + this.ivLength)
+        };
+    }
+
+    /**
+     * Check whether stored ciphertext was written with an older format or weaker parameters
+     */
+    needsUpgrade(encryptedData) {
         try {
-            // Convert base64 back to bytes
-            const data = Uint8Array.from(atob(encryptedData), c => c.charCodeAt(0));
-            
-            // Extract salt, IV, and encrypted data
-            const salt = data.slice(0, this.saltLength);
-            const iv = data.slice(this.saltLength, this.saltLength + this.ivLength);
-            const encrypted = data.slice(this.saltLength + this.ivLength);
-            
-            // Derive key from password
-            const key = await this.deriveKey(password, salt);
+            const envelope = this.parseEnvelope(encryptedData);
+            const current = this.getKdfParams();
+
+            return envelope.version < this.formatVersion ||
+                   envelope.algorithm !== this.algorithm ||
+                   envelope.kdf.name !== current.name ||
+                   envelope.kdf.hash !== current.hash ||
+                   envelope.kdf.iterations < current.iterations;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Decrypt data using AES-GCM with a session key
+     * The envelope must have been written under the same salt and KDF parameters as the session
+     */
+    async decryptWithKey(encryptedData, session) {
+        try {
+            const envelope = this.parseEnvelope(encryptedData);
+
+            if (envelope.algorithm !== 'AES-GCM') {
+                throw new Error(`Unsupported algorithm: ${envelope.algorithm}`);
+            }
+
+            if (this.bytesToBase64(envelope.salt) !== this.bytesToBase64(session.salt) ||
+                envelope.kdf.iterations !== session.kdf.iterations ||
+                envelope.kdf.hash !== session.kdf.hash) {
+                throw new Error('Session key does not match ciphertext parameters');
+            }
             
             // Decrypt data
             const decryptedBuffer = await crypto.subtle.decrypt(
                 {
-                    name: this.algorithm,
-                    iv: iv
+                    name: envelope.algorithm,
+                    iv: envelope.iv
                 },
-                key,
-                encrypted
+                session.key,
+                envelope.encrypted
             );
             
             // Convert back to string
@@ -129,6 +263,21 @@ class CryptoUtils {
         }
     }
 
+    /**
+     * Decrypt data using AES-GCM with a one-off key derived from password
+     * KDF and cipher parameters are taken from the envelope header
+     */
+    async decrypt(encryptedData, password) {
+        let session;
+        try {
+            session = await this.createSessionKeyForData(password, encryptedData);
+        } catch (error) {
+            console.error('Decryption error:', error);
+            throw new Error('Failed to decrypt data - invalid password or corrupted data');
+        }
+        return this.decryptWithKey(encryptedData, session);
+    }
+
     /**
      * Hash password for authentication (separate from encryption key derivation)
      */
@@ -0,0 +1,62 @@
+/**
+ * Vault health analysis
+ * Finds reused, weak, stale and breached passwords and entries without a username
+ * Mirrors extension/health.js; keep the two copies in sync
+ */
+
+class VaultHealth {
+    constructor() {
+        this.defaultMaxAgeDays = 180;
+        this.weakScore = 1; // Strength scores at or below this count as weak
+    }
+
+    /**
+     * Analyze entries and return findings plus an overall 0-100 score
+     * options.breachCounts is an optional Map of entry id to breach count
+     */
+    analyze(entries, options = {}) {
+        const maxAgeDays = options.maxAgeDays || this.defaultMaxAgeDays;
+        const now = options.now || Date.now();
+        const breachCounts = options.breachCounts || new Map();
+
+        const byPassword = new Map();
+        entries.forEach(entry => {
+            if (!byPassword.has(entry.password)) {
+                byPassword.set(entry.password, []);
+            }
+            byPassword.get(entry.password).push(entry);
+        });
+
+        const reused = Array.from(byPassword.values()).filter(group => group.length > 1);
+        const weak = entries.filter(entry => typeof entry.strength === 'number' && entry.strength <= this.weakScore);
+        const stale = entries.filter(entry => {
+            // Entries saved before passwordChangedAt existed fall back to their last edit
+            const changedAt = Date.parse(entry.passwordChangedAt || entry.updatedAt || entry.createdAt);
+            return changedAt && now - changedAt > maxAgeDays * 24 * 60 * 60 * 1000;
+        });
+        const missingUsername = entries.filter(entry => !entry.username || !entry.username.trim());
+        const breached = entries.filter(entry => breachCounts.get(entry.id) > 0);
+
+        const affected = new Set([
+            ...reused.flat(),
+            ...weak,
+            ...stale,
+            ...missingUsername,
+            ...breached
+        ].map(entry => entry.id));
+
+        return {
+            score: entries.length ? Math.round(100 * (entries.length - affected.size) / entries.length) : 100,
+            issueCount: affected.size,
+            maxAgeDays: maxAgeDays,
+            reused: reused,
+            weak: weak,
+            stale: stale,
+            missingUsername: missingUsername,
+            breached: breached
+        };
+    }
+}
+
+// Global instance
+window.vaultHealth = new VaultHealth();
@@ -0,0 +1,285 @@
+/**
+ * Importers for other password managers' export files
+ * Maps Chrome/Edge, Firefox, Bitwarden, 1Password and KeePass exports onto the vault entry model
+ */
+
+class PasswordImporter {
+    constructor() {
+        this.formats = {
+            chrome: 'Chrome / Edge CSV',
+            firefox: 'Firefox CSV',
+            'bitwarden-json': 'Bitwarden JSON',
+            'bitwarden-csv': 'Bitwarden CSV',
+            '1password': '1Password CSV',
+            keepass: 'KeePass XML'
+        };
+    }
+
+    /**
+     * Parse an export file into { platform, username, password, url, notes } entries
+     */
+    parse(text, format = 'auto') {
+        const content = text.replace(/^\uFEFF/, ''); // Strip byte order mark
+        const detectedFormat = format === 'auto' ? this.detectFormat(content) : format;
+
+        let entries;
+        switch (detectedFormat) {
+            case 'chrome':
+                entries = this.fromChromeCsv(content);
+                break;
+            case 'firefox':
+                entries = this.fromFirefoxCsv(content);
+                break;
+            case 'bitwarden-json':
+                entries = this.fromBitwardenJson(content);
+                break;
+            case 'bitwarden-csv':
+                entries = this.fromBitwardenCsv(content);
+                break;
+            case '1password':
+                entries = this.from1PasswordCsv(content);
+                break;
+            case 'keepass':
+                entries = this.fromKeePassXml(content);
+                break;
+            default:
+                throw new Error(`Unsupported import format: ${detectedFormat}`);
+        }
+
+        return {
+            format: detectedFormat,
+            entries: entries.filter(entry => entry.password)
+        };
+    }
+
+    detectFormat(text) {
+        const trimmed = text.trim();
+
+        if (trimmed.startsWith('<')) {
+            return 'keepass';
+        }
+
+        if (trimmed.startsWith('{')) {
+            return 'bitwarden-json';
+        }
+
+        const [header = []] = this.parseCsv(trimmed.split(/\r?\n/, 1)[0]);
+        const columns = new Set(header.map(column => column.trim().toLowerCase()));
+
+        if (columns.has('login_password')) {
+            return 'bitwarden-csv';
+        }
+
+        if (columns.has('httprealm') || columns.has('formactionorigin')) {
+            return 'firefox';
+        }
+
+        if (columns.has('title') && columns.has('password')) {
+            return '1password';
+        }
+
+        if (columns.has('name') && columns.has('url') && columns.has('password')) {
+            return 'chrome';
+        }
+
+        throw new Error('Unrecognized export format');
+    }
+
+    /**
+     * RFC 4180 CSV parser supporting quoted fields, escaped quotes and embedded newlines
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Parse CSV into objects keyed by lowercased header names
+     */
+    csvToObjects(text) {
+        const [header, ...rows] = this.parseCsv(text);
+        if (!header) {
+            return [];
+        }
+
+        const keys = header.map(column => column.trim().toLowerCase());
+        return rows.map(row => {
+            const record = {};
+            keys.forEach((key, index) => {
+                record[key] = row[index] || '';
+            });
+            return record;
+        });
+    }
+
+    fromChromeCsv(text) {
+        return this.csvToObjects(text).map(record => this.toEntry({
+            name: record.name,
+            url: record.url,
+            username: record.username,
+            password: record.password,
+            notes: record.note || record.notes
+        }));
+    }
+
+    fromFirefoxCsv(text) {
+        return this.csvToObjects(text).map(record => this.toEntry({
+            url: record.url,
+            username: record.username,
+            password: record.password,
+            createdAt: this.fromEpochMillis(record.timecreated),
+            passwordChangedAt: this.fromEpochMillis(record.timepasswordchanged)
+        }));
+    }
+
+    fromBitwardenJson(text) {
+        const data = JSON.parse(text);
+
+        if (data.encrypted) {
+            throw new Error('Encrypted Bitwarden exports are not supported; export as unencrypted JSON');
+        }
+
+        return (data.items || [])
+            .filter(item => item.type === 1 && item.login)
+            .map(item => this.toEntry({
+                name: item.name,
+                url: item.login.uris && item.login.uris.length ? item.login.uris[0].uri : '',
+                username: item.login.username,
+                password: item.login.password,
+                notes: item.notes
+            }));
+    }
+
+    fromBitwardenCsv(text) {
+        return this.csvToObjects(text)
+            .filter(record => !record.type || record.type === 'login')
+            .map(record => this.toEntry({
+                name: record.name,
+                url: (record.login_uri || '').split(',')[0],
+                username: record.login_username,
+                password: record.login_password,
+                notes: record.notes
+            }));
+    }
+
+    from1PasswordCsv(text) {
+        return this.csvToObjects(text).map(record => this.toEntry({
+            name: record.title,
+            url: record.url || record.website || record['login url'],
+            username: record.username,
+            password: record.password,
+            notes: record.notes || record.notesplain
+        }));
+    }
+
+    fromKeePassXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+        if (doc.querySelector('parsererror') || !doc.querySelector('KeePassFile')) {
+            throw new Error('Not a KeePass XML export');
+        }
+
+        return Array.from(doc.querySelectorAll('Entry'))
+            .filter(entry => !entry.parentElement || entry.parentElement.tagName !== 'History')
+            .map(entry => {
+                const fields = {};
+                entry.querySelectorAll(':scope > String').forEach(string => {
+                    const key = string.querySelector('Key');
+                    const value = string.querySelector('Value');
+                    if (key && value) {
+                        fields[key.textContent] = value.textContent;
+                    }
+                });
+
+                return this.toEntry({
+                    name: fields.Title,
+                    url: fields.URL,
+                    username: fields.UserName,
+                    password: fields.Password,
+                    notes: fields.Notes
+                });
+            });
+    }
+
+    /**
+     * Map raw export fields onto the vault entry model
+     */
+    toEntry({ name, url, username, password, notes, createdAt, passwordChangedAt }) {
+        const entry = {
+            platform: (name || '').trim() || this.platformFromUrl(url) || 'Imported',
+            username: (username || '').trim(),
+            password: password || '',
+            url: (url || '').trim(),
+            notes: (notes || '').trim()
+        };
+
+        if (createdAt) {
+            entry.createdAt = createdAt;
+        }
+        if (passwordChangedAt) {
+            entry.passwordChangedAt = passwordChangedAt;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Derive a platform name from a URL's registrable domain, e.g. https://accounts.google.co.uk -> google
+     */
+    platformFromUrl(url) {
+        const parsed = siteMatcher.parseUrl(url);
+        if (!parsed || !parsed.hostname) {
+            return '';
+        }
+
+        const { publicSuffix, baseDomain } = siteMatcher.getDomainParts(parsed.hostname);
+        return publicSuffix ? baseDomain.slice(0, -(publicSuffix.length + 1)) : baseDomain;
+    }
+
+    fromEpochMillis(value) {
+        const millis = parseInt(value, 10);
+        return millis ? new Date(millis).toISOString() : null;
+    }
+}
+
+// Global instance
+window.passwordImporter = new PasswordImporter();
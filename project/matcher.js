@@ -0,0 +1,191 @@
+/**
+ * Site matching for autofill
+ * Compares a page URL with the URLs saved on an entry, using the bundled public suffix list for base domains
+ */
+
+class SiteMatcher {
+    constructor() {
+        this.matchModes = {
+            'base-domain': 'Base domain',
+            'host': 'Host',
+            'host-port': 'Host and port',
+            'starts-with': 'Starts with',
+            'regex': 'Regular expression'
+        };
+        this.defaultMode = 'base-domain';
+        // How specific each kind of match is, for ordering; the platform-name fallback ranks lowest
+        this.modeRanks = { 'regex': 4, 'starts-with': 4, 'host-port': 3, 'host': 3, 'base-domain': 2 };
+        this.rules = null;
+    }
+
+    /**
+     * Index the public suffix list on first use
+     */
+    loadRules() {
+        if (this.rules) {
+            return this.rules;
+        }
+
+        this.rules = { exact: new Set(), wildcard: new Set(), exception: new Set() };
+        PUBLIC_SUFFIX_LIST.forEach(rule => {
+            if (rule.startsWith('!')) {
+                this.rules.exception.add(rule.slice(1));
+            } else if (rule.startsWith('*.')) {
+                this.rules.wildcard.add(rule.slice(2));
+            } else {
+                this.rules.exact.add(rule);
+            }
+        });
+
+        return this.rules;
+    }
+
+    /**
+     * Parse a saved URL or bare hostname; returns null when it isn't a usable URL
+     */
+    parseUrl(value) {
+        if (!value || typeof value !== 'string') {
+            return null;
+        }
+
+        const trimmed = value.trim();
+        try {
+            return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isIpAddress(hostname) {
+        return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[');
+    }
+
+    /**
+     * Split a hostname into its public suffix and registrable (base) domain
+     * IP addresses, single-label hosts and bare public suffixes are their own base domain
+     */
+    getDomainParts(hostname) {
+        const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+
+        if (!host || this.isIpAddress(host) || !host.includes('.')) {
+            return { publicSuffix: '', baseDomain: host };
+        }
+
+        const rules = this.loadRules();
+        const labels = host.split('.');
+        let suffixLength = 1; // The implicit "*" rule
+
+        // Scan from the longest candidate so the first hit is the longest matching rule
+        for (let i = 0; i < labels.length; i++) {
+            const candidate = labels.slice(i).join('.');
+            const parent = labels.slice(i + 1).join('.');
+
+            if (rules.exception.has(candidate)) {
+                suffixLength = labels.length - i - 1;
+                break;
+            }
+            if (rules.exact.has(candidate) || (parent && rules.wildcard.has(parent))) {
+                suffixLength = labels.length - i;
+                break;
+            }
+        }
+
+        const publicSuffix = labels.slice(labels.length - suffixLength).join('.');
+        if (suffixLength >= labels.length) {
+            return { publicSuffix, baseDomain: host };
+        }
+
+        return { publicSuffix, baseDomain: labels.slice(labels.length - suffixLength - 1).join('.') };
+    }
+
+    getBaseDomain(hostname) {
+        return this.getDomainParts(hostname).baseDomain;
+    }
+
+    /**
+     * Check one saved { url, match } rule against a page URL
+     */
+    matchesRule(pageUrl, rule) {
+        const page = typeof pageUrl === 'string' ? this.parseUrl(pageUrl) : pageUrl;
+        if (!page || !rule || !rule.url) {
+            return false;
+        }
+
+        const mode = rule.match || this.defaultMode;
+
+        if (mode === 'regex') {
+            try {
+                return new RegExp(rule.url, 'i').test(page.href);
+            } catch (error) {
+                return false;
+            }
+        }
+
+        const saved = this.parseUrl(rule.url);
+        if (!saved || !saved.hostname || !page.hostname) {
+            return false;
+        }
+
+        switch (mode) {
+            case 'host':
+                return page.hostname === saved.hostname;
+            case 'host-port':
+                return page.host === saved.host;
+            case 'starts-with':
+                return page.href.startsWith(saved.href);
+            default:
+                return this.getBaseDomain(page.hostname) === this.getBaseDomain(saved.hostname);
+        }
+    }
+
+    /**
+     * Entries without saved URLs fall back to their platform name: a name with a dot is
+     * treated as a domain, otherwise it stands for the .com domain ("PayPal" -> paypal.com).
+     * Any other suffix needs a saved URL, so "paypal" never fills on paypal.tk
+     */
+    matchesPlatformName(pageUrl, platform) {
+        const page = typeof pageUrl === 'string' ? this.parseUrl(pageUrl) : pageUrl;
+        const name = (platform || '').trim().toLowerCase().replace(/\s+/g, '');
+        if (!page || !page.hostname || !name) {
+            return false;
+        }
+
+        return this.matchesRule(page, { url: name.includes('.') ? name : `${name}.com`, match: 'base-domain' });
+    }
+
+    /**
+     * 0 when the entry doesn't match the page, otherwise the rank of its most specific matching rule
+     */
+    rankEntry(pageUrl, entry) {
+        const page = this.parseUrl(pageUrl);
+        if (!page || !entry) {
+            return 0;
+        }
+
+        if (Array.isArray(entry.urls) && entry.urls.length) {
+            return entry.urls
+                .filter(rule => this.matchesRule(page, rule))
+                .reduce((best, rule) => Math.max(best, this.modeRanks[rule.match || this.defaultMode] || 1), 0);
+        }
+
+        return this.matchesPlatformName(page, entry.platform) ? 1 : 0;
+    }
+
+    matchesEntry(pageUrl, entry) {
+        return this.rankEntry(pageUrl, entry) > 0;
+    }
+
+    /**
+     * Entries whose saved URLs (or platform name) match the page, most specific match first
+     */
+    findMatches(pageUrl, entries) {
+        return (entries || [])
+            .map((entry, index) => ({ entry, index, rank: this.rankEntry(pageUrl, entry) }))
+            .filter(match => match.rank > 0)
+            .sort((a, b) => b.rank - a.rank || a.index - b.index)
+            .map(match => match.entry);
+    }
+}
+
+// Global instance
+window.siteMatcher = new SiteMatcher();
@@ -0,0 +1,276 @@
+/**
+ * Offline password strength estimator
+ * Finds low-entropy patterns (common passwords, dictionary words, keyboard walks, sequences,
+ * repeats and dates) and scores what is left as random characters
+ */
+
+class PasswordStrength {
+    constructor() {
+        this.labels = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+        this.scoreThresholds = [28, 40, 55, 70]; // Entropy bits needed for scores 1-4
+        this.commonPasswords = [
+            'password', '123456', '12345678', 'qwerty', 'abc123', '123456789', '111111', '1234567',
+            'iloveyou', 'adobe123', '123123', 'admin', '1234567890', 'letmein', 'photoshop', '1234',
+            'monkey', 'shadow', 'sunshine', '12345', 'password1', 'princess', 'azerty', 'trustno1',
+            '000000', 'dragon', 'baseball', 'football', 'master', 'michael', 'superman', 'welcome',
+            'login', 'starwars', 'hello', 'freedom', 'whatever', 'qazwsx', 'ninja', 'mustang',
+            'passw0rd', 'charlie', 'donald', 'batman', 'access', 'flower', 'hottie', 'loveme',
+            'zaq1zaq1', 'solo', 'secret', 'jordan', 'jennifer', 'hunter', 'ranger', 'buster',
+            'soccer', 'harley', 'andrew', 'tigger', 'robert', 'thomas', 'hockey', 'killer',
+            'george', 'sunshine1', 'computer', 'michelle', 'jessica', 'pepper', 'zxcvbn', 'ginger',
+            'joshua', 'cheese', 'amanda', 'summer', 'love', 'ashley', 'nicole', 'chelsea',
+            'biteme', 'matthew', 'yankees', 'dallas', 'austin', 'thunder', 'taylor', 'matrix',
+            'minecraft', 'pokemon', 'qwertyuiop', 'google', 'changeme', 'default', 'test', 'guest',
+            'securevault', 'vault', 'manager', 'qwerty123', 'iloveu', 'princess1', 'abcdef', '654321'
+        ];
+        this.keyboardRows = [
+            '`1234567890-=', 'qwertyuiop[]\\', 'asdfghjkl;\'', 'zxcvbnm,./',
+            '1qaz', '2wsx', '3edc', '4rfv', '5tgb', '6yhn', '7ujm', '8ik,', '9ol.', '0p;/'
+        ];
+        this.sequences = ['abcdefghijklmnopqrstuvwxyz', '01234567890'];
+        this.leet = { '4': 'a', '@': 'a', '8': 'b', '3': 'e', '6': 'g', '1': 'i', '!': 'i', '0': 'o', '5': 's', '$': 's', '7': 't', '+': 't', '2': 'z' };
+        this.dictionary = null; // Built lazily from the bundled wordlist
+    }
+
+    getDictionary() {
+        if (!this.dictionary) {
+            const words = typeof DICEWARE_WORDLIST !== 'undefined' ? DICEWARE_WORDLIST : [];
+            this.dictionary = new Set(words.filter(word => word.length >= 4));
+        }
+        return this.dictionary;
+    }
+
+    /**
+     * Size of the character pool the password draws from
+     */
+    getPoolSize(password) {
+        let size = 0;
+        if (/[a-z]/.test(password)) size += 26;
+        if (/[A-Z]/.test(password)) size += 26;
+        if (/[0-9]/.test(password)) size += 10;
+        if (/[^a-zA-Z0-9]/.test(password)) size += 33;
+        return size || 1;
+    }
+
+    unleet(text) {
+        return text.split('').map(c => this.leet[c] || c).join('');
+    }
+
+    /**
+     * Estimate the strength of a password
+     * userInputs (e.g. the account email) are treated as words an attacker would try first
+     */
+    estimate(password, userInputs = []) {
+        if (!password) {
+            return { score: 0, entropy: 0, label: this.labels[0], feedback: { warning: '', suggestions: [] } };
+        }
+
+        const poolSize = this.getPoolSize(password);
+        const charEntropy = Math.log2(poolSize);
+        const lower = password.toLowerCase();
+        const normalized = this.unleet(lower);
+
+        const matches = [].concat(
+            this.findCommonPasswordMatches(lower, normalized),
+            this.findDictionaryMatches(password, lower, normalized, userInputs),
+            this.findKeyboardMatches(lower),
+            this.findSequenceMatches(lower),
+            this.findRepeatMatches(password, charEntropy),
+            this.findDateMatches(password)
+        );
+
+        // Pick non-overlapping matches that save the most entropy
+        matches.forEach(match => {
+            match.savings = (match.end - match.start) * charEntropy - match.entropy;
+        });
+        matches.sort((a, b) => b.savings - a.savings);
+
+        const covered = new Array(password.length).fill(false);
+        const used = [];
+        matches.forEach(match => {
+            if (match.savings <= 0) return;
+            for (let i = match.start; i < match.end; i++) {
+                if (covered[i]) return;
+            }
+            for (let i = match.start; i < match.end; i++) {
+                covered[i] = true;
+            }
+            used.push(match);
+        });
+
+        const uncovered = covered.filter(c => !c).length;
+        const entropy = uncovered * charEntropy + used.reduce((sum, match) => sum + match.entropy, 0);
+
+        let score = this.scoreThresholds.filter(threshold => entropy >= threshold).length;
+        if (used.some(match => match.type === 'common' && match.end - match.start === password.length)) {
+            score = 0;
+        }
+
+        return {
+            score: score,
+            entropy: Math.round(entropy),
+            label: this.labels[score],
+            feedback: this.getFeedback(password, score, used)
+        };
+    }
+
+    findCommonPasswordMatches(lower, normalized) {
+        const matches = [];
+
+        this.commonPasswords.forEach((common, rank) => {
+            [lower, normalized].forEach(text => {
+                const start = text.indexOf(common);
+                if (common.length >= 4 && start !== -1) {
+                    matches.push({ type: 'common', start, end: start + common.length, entropy: Math.log2(rank + 2), token: common });
+                }
+            });
+        });
+
+        return matches;
+    }
+
+    findDictionaryMatches(password, lower, normalized, userInputs) {
+        const dictionary = this.getDictionary();
+        const userWords = userInputs
+            .flatMap(input => String(input || '').toLowerCase().split(/[^a-z0-9]+/))
+            .filter(word => word.length >= 3);
+        const matches = [];
+
+        for (let start = 0; start < password.length; start++) {
+            for (let end = start + 3; end <= password.length; end++) {
+                const word = normalized.slice(start, end);
+                const isUserWord = userWords.includes(word) || userWords.includes(lower.slice(start, end));
+                if (!isUserWord && !dictionary.has(word)) {
+                    continue;
+                }
+
+                const original = password.slice(start, end);
+                let entropy = isUserWord ? 1 : Math.log2(dictionary.size);
+                if (/[A-Z]/.test(original)) entropy += 1; // Capitalization variant
+                if (lower.slice(start, end) !== word) entropy += 1; // Leet substitution
+
+                matches.push({ type: isUserWord ? 'personal' : 'dictionary', start, end, entropy, token: original });
+            }
+        }
+
+        return matches;
+    }
+
+    findRunMatches(lower, sources, type) {
+        const matches = [];
+        let start = 0;
+
+        while (start < lower.length - 2) {
+            let end = start + 1;
+            while (end < lower.length && sources.some(source => {
+                const forward = source.indexOf(lower.slice(start, end + 1));
+                const backward = source.split('').reverse().join('').indexOf(lower.slice(start, end + 1));
+                return forward !== -1 || backward !== -1;
+            })) {
+                end++;
+            }
+
+            if (end - start >= 3) {
+                matches.push({ type, start, end, entropy: Math.log2(26) + Math.log2(end - start), token: lower.slice(start, end) });
+                start = end;
+            } else {
+                start++;
+            }
+        }
+
+        return matches;
+    }
+
+    findKeyboardMatches(lower) {
+        return this.findRunMatches(lower, this.keyboardRows, 'keyboard');
+    }
+
+    findSequenceMatches(lower) {
+        return this.findRunMatches(lower, this.sequences, 'sequence');
+    }
+
+    findRepeatMatches(password, charEntropy) {
+        const matches = [];
+        const repeat = /(.+?)\1+/g;
+        let match;
+
+        while ((match = repeat.exec(password)) !== null) {
+            const base = match[1];
+            const times = match[0].length / base.length;
+            if (match[0].length >= 3) {
+                matches.push({
+                    type: 'repeat',
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    entropy: base.length * charEntropy + Math.log2(times),
+                    token: match[0]
+                });
+            }
+        }
+
+        return matches;
+    }
+
+    findDateMatches(password) {
+        const matches = [];
+        const patterns = [
+            /(19|20)\d{2}/g, // Years
+            /\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4}/g, // 12/31/1999, 31-12-99
+            /(0[1-9]|[12]\d|3[01])(0[1-9]|1[0-2])((19|20)?\d{2})/g, // ddmmyy(yy)
+            /(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])((19|20)?\d{2})/g // mmddyy(yy)
+        ];
+
+        patterns.forEach(pattern => {
+            let match;
+            while ((match = pattern.exec(password)) !== null) {
+                matches.push({
+                    type: 'date',
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    entropy: match[0].length <= 4 ? Math.log2(130) : Math.log2(365 * 130),
+                    token: match[0]
+                });
+            }
+        });
+
+        return matches;
+    }
+
+    getFeedback(password, score, matches) {
+        const warnings = {
+            common: 'This is a very common password.',
+            personal: 'Avoid words from your name or email.',
+            dictionary: 'Single dictionary words are easy to guess.',
+            keyboard: 'Keyboard patterns like "qwerty" are easy to guess.',
+            sequence: 'Sequences like "abc" or "123" are easy to guess.',
+            repeat: 'Repeated characters like "aaa" are easy to guess.',
+            date: 'Dates and years are easy to guess.'
+        };
+
+        const warningMatch = matches.find(match => match.type === 'common') || matches[0];
+        const suggestions = [];
+
+        if (score >= 3) {
+            return { warning: '', suggestions };
+        }
+
+        if (password.length < 12) {
+            suggestions.push('Use at least 12 characters.');
+        }
+        if (this.getPoolSize(password) < 62) {
+            suggestions.push('Mix uppercase, lowercase, digits and symbols.');
+        }
+        if (matches.some(match => match.type === 'dictionary')) {
+            suggestions.push('Add more unrelated words, or avoid predictable substitutions like "@" for "a".');
+        }
+        suggestions.push('Try the password generator for a strong random password.');
+
+        return {
+            warning: warningMatch ? warnings[warningMatch.type] : '',
+            suggestions
+        };
+    }
+}
+
+// Global instance
+window.passwordStrength = new PasswordStrength();
@@ -0,0 +1,140 @@
+/**
+ * The service worker, run in a vm sandbox with a stubbed chrome API
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadScripts } = require('./load-scripts');
+const { createChrome } = require('./chrome-stub');
+
+/**
+ * background.js with the scripts it imports loaded first, the way importScripts would
+ */
+function loadBackground(previous = null) {
+    const { chrome, storage, sent } = createChrome();
+    if (previous) {
+        // A restarted worker: memory is gone, storage is not
+        Object.assign(storage.local, previous.local);
+        Object.assign(storage.session, previous.session);
+    }
+    const sandbox = loadScripts([
+        'extension/crypto.js', 'extension/health.js', 'extension/publicsuffix.js',
+        'extension/matcher.js', 'extension/channel.js', 'extension/background.js'
+    ], {
+        chrome, crypto, TextEncoder, TextDecoder, atob, btoa, setTimeout, clearTimeout,
+        console: { log() {}, warn() {}, error() {} },
+        importScripts: () => {}
+    });
+
+    return { background: vm.runInContext('backgroundService', sandbox), cryptoUtils: sandbox.cryptoUtils, storage, sent };
+}
+
+/**
+ * Call handleMessage the way chrome.runtime.onMessage would and resolve with the response
+ */
+function sendMessage(background, message, sender) {
+    return new Promise(resolve => background.handleMessage(message, sender, resolve));
+}
+
+describe('SAVE_PROMPT_RESPONSE', () => {
+    it('answers a sender without a tab instead of throwing', async () => {
+        const { background } = loadBackground();
+        const popup = { id: 'securevault', url: 'chrome-extension://securevault/popup.html' };
+
+        const response = await sendMessage(background, { type: 'SAVE_PROMPT_RESPONSE', choice: 'save' }, popup);
+        assert.strictEqual(response.success, false);
+    });
+});
+
+describe('session key after a worker restart', () => {
+    const popup = { id: 'securevault', url: 'chrome-extension://securevault/popup.html' };
+    const password = 'correct horse';
+
+    async function unlockFromPopup() {
+        const worker = loadBackground();
+        await worker.background.ready;
+
+        const key = await worker.cryptoUtils.createSessionKey(password);
+        worker.storage.local.vaultRecord = {
+            email: 'alice@example.com',
+            hashedPassword: await worker.cryptoUtils.hashPassword(password),
+            encryptedData: await worker.cryptoUtils.encryptWithKey(
+                JSON.stringify([{ id: '1', platform: 'Example', username: 'alice', password: 'old', urls: [] }]), key)
+        };
+
+        const unlocked = await sendMessage(worker.background, { type: 'POPUP_UNLOCK', password }, popup);
+        assert.strictEqual(unlocked.success, true);
+        return worker;
+    }
+
+    it('re-encrypts popup changes while the key is held', async () => {
+        const { background, cryptoUtils, storage } = await unlockFromPopup();
+        const status = await sendMessage(background, { type: 'POPUP_REQUEST_STATUS' }, popup);
+        assert.strictEqual(status.sessionKeyLost, false);
+
+        await sendMessage(background, { type: 'POPUP_SAVE_ENTRY', entry: { id: '1', platform: 'Example', username: 'alice', password: 'new', urls: [] } }, popup);
+        const record = storage.local.vaultRecord;
+        assert.strictEqual(JSON.parse(await cryptoUtils.decrypt(record.encryptedData, password))[0].password, 'new');
+        assert.strictEqual(record.pendingChanges.changeIds.length, 1);
+    });
+
+    it('tells the popup when the key is gone instead of silently not re-encrypting', async () => {
+        const first = await unlockFromPopup();
+        const { background, storage } = loadBackground(first.storage);
+        await background.ready;
+        const recordBefore = storage.local.vaultRecord.encryptedData;
+
+        await sendMessage(background, { type: 'POPUP_SAVE_ENTRY', entry: { id: '1', platform: 'Example', username: 'alice', password: 'new', urls: [] } }, popup);
+        const status = await sendMessage(background, { type: 'POPUP_REQUEST_STATUS' }, popup);
+
+        assert.strictEqual(status.isLoggedIn, true);
+        assert.strictEqual(status.pendingChanges, 1);
+        assert.strictEqual(status.pendingChangesKept, false);
+        assert.strictEqual(status.sessionKeyLost, true);
+        assert.strictEqual(storage.local.vaultRecord.encryptedData, recordBefore);
+    });
+
+    it('holds the key again after the popup unlocks again', async () => {
+        const first = await unlockFromPopup();
+        const { background } = loadBackground(first.storage);
+        await background.ready;
+
+        await sendMessage(background, { type: 'POPUP_LOCK_VAULT' }, popup);
+        await sendMessage(background, { type: 'POPUP_UNLOCK', password }, popup);
+        const status = await sendMessage(background, { type: 'POPUP_REQUEST_STATUS' }, popup);
+        assert.strictEqual(status.sessionKeyLost, false);
+        assert.strictEqual(status.pendingChangesKept, true);
+    });
+});
+
+describe('getFramePolicy', () => {
+    const { background } = loadBackground();
+    const policy = (frameUrl, topUrl) => background.getFramePolicy({ url: frameUrl, tab: { url: topUrl } });
+
+    it('fills a frame from the same origin without asking', () => {
+        const result = policy('https://example.com/login', 'https://example.com/');
+        assert.strictEqual(result.refused, false);
+        assert.strictEqual(result.warnings.length, 0);
+    });
+
+    it('asks before filling a frame on another subdomain of the same site', () => {
+        const result = policy('https://a.example.com/login', 'https://b.example.com/');
+        assert.strictEqual(result.refused, false);
+        assert.strictEqual(result.warnings.length, 1);
+        assert.match(result.warnings[0], /https:\/\/a\.example\.com/);
+    });
+
+    it('asks before filling a frame on another port or scheme', () => {
+        assert.strictEqual(policy('https://example.com:8443/login', 'https://example.com/').warnings.length, 1);
+        assert.ok(policy('http://example.com/login', 'https://example.com/').warnings.length >= 1);
+    });
+
+    it('warns that a frame from another site is another site', () => {
+        assert.match(policy('https://login.evil.net/', 'https://example.com/').warnings[0], /another site/);
+    });
+
+    it('refuses non-web frames', () => {
+        assert.strictEqual(policy('data:text/html,<form>', 'https://example.com/').refused, true);
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Just enough of the chrome.* API to run the service worker in a vm sandbox: listeners are
+ * recorded, storage areas are plain objects and messages to tabs are collected in sent
+ */
+
+function createChrome() {
+    const storage = { local: {}, session: {} };
+    const sent = [];
+    const listeners = {};
+    const event = (name) => ({
+        addListener: (listener) => { listeners[name] = listener; }
+    });
+    const area = (name) => ({
+        get: async (key) => ({ [key]: storage[name][key] }),
+        set: async (items) => { Object.assign(storage[name], JSON.parse(JSON.stringify(items))); },
+        remove: async (key) => { delete storage[name][key]; },
+        setAccessLevel: async () => {}
+    });
+    const noop = () => {};
+
+    const chrome = {
+        runtime: {
+            id: 'securevault',
+            getURL: (file) => `chrome-extension://securevault/${file}`,
+            onMessage: event('runtime.onMessage'),
+            onStartup: event('runtime.onStartup'),
+            onInstalled: event('runtime.onInstalled'),
+            sendMessage: async (message) => { sent.push({ message }); }
+        },
+        tabs: {
+            onUpdated: event('tabs.onUpdated'),
+            onRemoved: event('tabs.onRemoved'),
+            onActivated: event('tabs.onActivated'),
+            query: async () => [],
+            create: noop,
+            sendMessage: async (tabId, message, options) => {
+                sent.push({ tabId, message, options });
+                return { success: true };
+            }
+        },
+        windows: { onFocusChanged: event('windows.onFocusChanged') },
+        idle: { onStateChanged: event('idle.onStateChanged'), setDetectionInterval: noop },
+        alarms: { onAlarm: event('alarms.onAlarm'), create: noop, clear: noop },
+        commands: { onCommand: event('commands.onCommand') },
+        contextMenus: { onClicked: event('contextMenus.onClicked'), removeAll: async () => {}, create: (item, done) => done && done() },
+        action: { setBadgeText: noop },
+        offscreen: { hasDocument: async () => false, createDocument: async () => {} },
+        storage: { local: area('local'), session: area('session') }
+    };
+
+    return { chrome, storage, sent, listeners };
+}
+
+module.exports = { createChrome };
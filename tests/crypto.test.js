@@ -0,0 +1,46 @@
+/**
+ * Reading vaults written before ciphertext envelopes existed, and upgrading them, for both copies
+ * of crypto.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const password = 'correct horse';
+const plaintext = '[{"platform":"Example","username":"alice","password":"hunter2"}]';
+// Written by the first version's encrypt(): bare base64 of salt + IV + ciphertext, PBKDF2-SHA-256 at 100000 iterations
+const legacyBlob = 'YN62EZvOdWjs75sDqF0hDwHRrAt6ixH/03ULYI9YKqxfNKDA2oQhTkYzBHkJzRUoIi7MreP754MFjlLspZeXwhWx7jY7+qy9lMUV8rvCahSNzqUrkNswuK21PZ57sQecEXp/I87rfjCi4FLo';
+
+['project/crypto.js', 'extension/crypto.js'].forEach(cryptoFile => {
+    const { cryptoUtils } = loadScripts([cryptoFile], {
+        crypto, TextEncoder, TextDecoder, atob, btoa,
+        console: { log() {}, warn() {}, error() {} }
+    });
+
+    describe(`${cryptoFile} legacy vaults`, () => {
+        it('decrypts a headerless blob and flags it for upgrade', async () => {
+            assert.strictEqual(cryptoUtils.parseEnvelope(legacyBlob).version, 0);
+            assert.strictEqual(await cryptoUtils.decrypt(legacyBlob, password), plaintext);
+            assert.strictEqual(cryptoUtils.needsUpgrade(legacyBlob), true);
+        });
+
+        it('rejects a headerless blob under the wrong password', async () => {
+            await assert.rejects(cryptoUtils.decrypt(legacyBlob, 'wrong horse'));
+        });
+
+        it('re-encrypts into a v1 envelope that no longer needs upgrading', async () => {
+            const upgraded = await cryptoUtils.encryptWithKey(
+                await cryptoUtils.decrypt(legacyBlob, password),
+                await cryptoUtils.createSessionKey(password)
+            );
+
+            const envelope = JSON.parse(upgraded);
+            assert.strictEqual(envelope.v, 1);
+            assert.strictEqual(envelope.kdf.name, 'PBKDF2');
+            assert.strictEqual(cryptoUtils.parseEnvelope(upgraded).version, 1);
+            assert.strictEqual(cryptoUtils.needsUpgrade(upgraded), false);
+            assert.strictEqual(await cryptoUtils.decrypt(upgraded, password), plaintext);
+        });
+    });
+});
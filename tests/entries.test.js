@@ -0,0 +1,84 @@
+/**
+ * Entry edits in the web app, run under jsdom with index.html and its scripts
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const projectDir = path.join(__dirname, '..', 'project');
+const html = fs.readFileSync(path.join(projectDir, 'index.html'), 'utf8');
+const scripts = Array.from(html.matchAll(/<script src="([^"]+)"/g), match => match[1]);
+const source = scripts.map(file => fs.readFileSync(path.join(projectDir, file), 'utf8')).join('\n;\n');
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+/**
+ * A fresh page and vault; saving and rendering are stubbed, since they need an unlocked session
+ */
+function loadVault() {
+    const dom = new JSDOM(html, { runScripts: 'outside-only', url: 'http://localhost:8000/' });
+    const alerts = [];
+    dom.window.alert = (message) => alerts.push(message);
+    const vault = dom.window.eval(`${source}\nvault`);
+    vault.saveUserEntries = async () => true;
+    vault.renderEntries = () => {};
+    return { vault, alerts, document: dom.window.document, health: dom.window.vaultHealth };
+}
+
+describe('password age', () => {
+    let vault;
+    let alerts;
+    let document;
+    let health;
+
+    beforeEach(() => {
+        ({ vault, alerts, document, health } = loadVault());
+    });
+
+    const staleCount = () => health.analyze(vault.entries).stale.length;
+
+    const rename = async (entryId, platform) => {
+        vault.openEditModal(entryId);
+        document.getElementById('editPlatformName').value = platform;
+        await vault.handleEditEntry();
+        assert.deepStrictEqual(alerts, ['Password entry updated successfully!']);
+    };
+
+    it('is set when an entry is added', async () => {
+        document.getElementById('platformName').value = 'Example';
+        document.getElementById('platformUsername').value = 'alice';
+        document.getElementById('platformPassword').value = 'correct horse battery staple';
+        await vault.handleAddEntry();
+        assert.deepStrictEqual(alerts, ['Password entry added successfully!']);
+
+        const [entry] = vault.entries;
+        assert.ok(entry.passwordChangedAt);
+        assert.strictEqual(entry.passwordChangedAt, entry.createdAt);
+    });
+
+    it('survives a rename, so an old password stays stale', async () => {
+        const createdAt = new Date(Date.now() - 400 * dayMs).toISOString();
+        vault.entries = [{ id: '1', platform: 'Example', username: 'alice', password: 'old password', urls: [], createdAt }];
+        assert.strictEqual(staleCount(), 1);
+
+        await rename('1', 'Acme');
+
+        assert.strictEqual(vault.entries[0].platform, 'Acme');
+        assert.strictEqual(vault.entries[0].passwordChangedAt, createdAt);
+        assert.strictEqual(staleCount(), 1);
+    });
+
+    it('resets when the password changes', async () => {
+        const createdAt = new Date(Date.now() - 400 * dayMs).toISOString();
+        vault.entries = [{ id: '1', platform: 'Example', username: 'alice', password: 'old password', urls: [], createdAt }];
+
+        vault.openEditModal('1');
+        document.getElementById('editPlatformPassword').value = 'a new password';
+        await vault.handleEditEntry();
+
+        assert.strictEqual(staleCount(), 0);
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * FormAnalyzer against saved real-world form HTML in tests/fixtures/forms, run under jsdom
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const formsSource = fs.readFileSync(path.join(__dirname, '..', 'extension', 'forms.js'), 'utf8');
+const fixtureDir = path.join(__dirname, 'fixtures', 'forms');
+
+// Each detected form: type, username field, current, new and one-time-code fields, by id
+const fixtures = {
+    'github-login.html': [
+        { type: 'login', username: 'login_field', current: ['password'], new: [], otp: [] }
+    ],
+    'google-identifier.html': [
+        { type: 'login', username: 'identifierId', current: [], new: [], otp: [] }
+    ],
+    'amazon-password-step.html': [
+        { type: 'login', username: null, current: ['ap_password'], new: [], otp: [] }
+    ],
+    'wordpress-login.html': [
+        { type: 'login', username: 'user_login', current: ['user_pass'], new: [], otp: [] }
+    ],
+    'formless-login.html': [
+        { type: 'login', username: 'email', current: ['pass'], new: [], otp: [] }
+    ],
+    'login-and-newsletter.html': [
+        { type: 'login', username: 'header-user', current: ['header-pass'], new: [], otp: [] }
+    ],
+    'plain-signup.html': [
+        { type: 'registration', username: 'signup-email', current: [], new: ['signup-password', 'signup-confirm'], otp: [] }
+    ],
+    'github-signup.html': [
+        { type: 'registration', username: 'email', current: [], new: ['password'], otp: [] }
+    ],
+    'profile-signup.html': [
+        { type: 'registration', username: 'customer-email', current: [], new: ['customer-password', 'customer-password-again'], otp: [] }
+    ],
+    'plain-reset.html': [
+        { type: 'password-change', username: null, current: [], new: ['reset-password', 'reset-repeat'], otp: [] }
+    ],
+    'change-password.html': [
+        { type: 'password-change', username: null, current: ['user_old_password'], new: ['user_new_password', 'user_confirm_new_password'], otp: [] }
+    ],
+    'newsletter-email.html': [],
+    'checkout.html': [],
+    'otp.html': [
+        { type: 'otp', username: null, current: [], new: [], otp: ['app_totp'] }
+    ]
+};
+
+/**
+ * Load a fixture into its own window with forms.js; jsdom has no layout, so visibility
+ * comes from the hidden attribute instead of offsetParent
+ */
+function analyzeFixture(file) {
+    const dom = new JSDOM(fs.readFileSync(path.join(fixtureDir, file), 'utf8'), { runScripts: 'outside-only' });
+    dom.window.eval(formsSource);
+
+    const FormAnalyzer = dom.window.formAnalyzer.constructor;
+    const analyzer = new FormAnalyzer({ isVisible: field => !field.closest('[hidden]') });
+    // Array.from brings results out of the jsdom realm so deepStrictEqual compares them
+    const ids = fields => Array.from(fields, field => field.id);
+
+    return Array.from(analyzer.analyzePage(dom.window.document), analysis => ({
+        type: analysis.type,
+        username: analysis.usernameField ? analysis.usernameField.id : null,
+        current: ids(analysis.currentPasswordFields),
+        new: ids(analysis.newPasswordFields),
+        otp: ids(analysis.otpFields)
+    }));
+}
+
+describe('FormAnalyzer fixtures', () => {
+    it('has an expectation for every fixture', () => {
+        assert.deepStrictEqual(fs.readdirSync(fixtureDir).sort(), Object.keys(fixtures).sort());
+    });
+
+    Object.entries(fixtures).forEach(([file, expected]) => {
+        it(file, () => {
+            assert.deepStrictEqual(analyzeFixture(file), expected);
+        });
+    });
+
+    it('never treats a lone email field as a login', () => {
+        ['newsletter-email.html', 'checkout.html'].forEach(file => {
+            assert.ok(analyzeFixture(file).every(analysis => analysis.type !== 'login'), file);
+        });
+    });
+});
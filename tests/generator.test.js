@@ -0,0 +1,33 @@
+/**
+ * Field-constrained password generation, run against both copies of generator.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+['project/generator.js', 'extension/generator.js'].forEach(generatorFile => {
+    const wordlistFile = generatorFile.replace('generator.js', 'wordlist.js');
+    const { passwordGenerator } = loadScripts([wordlistFile, generatorFile], { crypto });
+
+    describe(`${generatorFile} generateForConstraints`, () => {
+        it('keeps within a field\'s maxlength', () => {
+            assert.strictEqual(passwordGenerator.generateForConstraints({ length: 20 }, { maxLength: 12 }).length, 12);
+        });
+
+        it('meets a minlength above the generator\'s own cap', () => {
+            const minLength = passwordGenerator.maxLength + 72;
+            const password = passwordGenerator.generateForConstraints({}, { minLength });
+            assert.ok(password.length >= minLength, `${password.length} < ${minLength}`);
+        });
+
+        it('meets a minlength above the cap up to the field\'s maxlength', () => {
+            const password = passwordGenerator.generateForConstraints({}, { minLength: 150, maxLength: 160 });
+            assert.ok(password.length >= 150 && password.length <= 160, String(password.length));
+        });
+
+        it('returns null when minlength exceeds maxlength', () => {
+            assert.strictEqual(passwordGenerator.generateForConstraints({}, { minLength: 20, maxLength: 10 }), null);
+        });
+    });
+});
@@ -0,0 +1,24 @@
+/**
+ * Load browser scripts from the repo into one sandbox, the way index.html or the service worker
+ * would, and return it; each script's global instance ends up on the sandbox
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+function loadScripts(files, globals = {}) {
+    const sandbox = vm.createContext({ console, URL, ...globals });
+    sandbox.window = sandbox;
+    sandbox.self = sandbox;
+
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), sandbox, { filename: file });
+    });
+
+    return sandbox;
+}
+
+module.exports = { loadScripts };
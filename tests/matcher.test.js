@@ -0,0 +1,103 @@
+/**
+ * Tricky domains for SiteMatcher, run against both copies of matcher.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const domainParts = [
+    // host, public suffix, base domain
+    ['accounts.google.co.uk', 'co.uk', 'google.co.uk'],
+    ['google.co.uk', 'co.uk', 'google.co.uk'],
+    ['co.uk', 'co.uk', 'co.uk'],
+    ['alice.github.io', 'github.io', 'alice.github.io'],
+    ['github.io', 'github.io', 'github.io'],
+    ['WWW.Example.COM.', 'com', 'example.com'],
+    ['deep.sub.example.zzz', 'zzz', 'example.zzz'], // Unlisted TLD: the implicit "*" rule
+    ['foo.bar.ck', 'bar.ck', 'foo.bar.ck'], // *.ck
+    ['a.www.ck', 'ck', 'www.ck'], // !www.ck
+    ['x.foo.kawasaki.jp', 'foo.kawasaki.jp', 'x.foo.kawasaki.jp'], // *.kawasaki.jp
+    ['x.city.kawasaki.jp', 'kawasaki.jp', 'city.kawasaki.jp'], // !city.kawasaki.jp
+    ['192.168.0.10', '', '192.168.0.10'],
+    ['[::1]', '', '[::1]'],
+    ['localhost', '', 'localhost']
+];
+
+const rules = [
+    // page URL, saved rule, expected
+    ['https://login.example.co.uk/', { url: 'example.co.uk' }, true],
+    ['https://login.example.co.uk/', { url: 'other.co.uk' }, false],
+    ['https://alice.github.io/', { url: 'https://bob.github.io' }, false],
+    ['https://alice.github.io/app', { url: 'alice.github.io' }, true],
+    ['https://x.city.kawasaki.jp/', { url: 'city.kawasaki.jp' }, true],
+    ['https://a.foo.kawasaki.jp/', { url: 'b.foo.kawasaki.jp' }, false],
+    ['https://accounts.google.com/', { url: 'google.com', match: 'host' }, false],
+    ['https://accounts.google.com/', { url: 'https://accounts.google.com/signin', match: 'host' }, true],
+    ['http://10.0.0.1:8000/', { url: '10.0.0.1' }, true],
+    ['http://10.0.0.1:8000/', { url: '10.0.0.2' }, false],
+    ['http://localhost:8080/', { url: 'localhost:3000' }, true],
+    ['http://localhost:8080/', { url: 'localhost:8080', match: 'host-port' }, true],
+    ['http://localhost:8080/', { url: 'localhost:3000', match: 'host-port' }, false],
+    ['https://example.com:8443/', { url: 'example.com', match: 'host-port' }, false],
+    ['https://example.com/app/login', { url: 'https://example.com/app', match: 'starts-with' }, true],
+    ['https://example.com/admin', { url: 'https://example.com/app', match: 'starts-with' }, false],
+    ['http://example.com/app/login', { url: 'https://example.com/app', match: 'starts-with' }, false],
+    ['https://www.example.com/login', { url: '^https://(www\\.)?example\\.com/', match: 'regex' }, true],
+    ['https://example.com.evil.net/', { url: '^https://(www\\.)?example\\.com/', match: 'regex' }, false],
+    ['https://example.com/', { url: '(', match: 'regex' }, false],
+    ['https://example.com/', { url: '' }, false]
+];
+
+const platformNames = [
+    // page URL, platform name, expected
+    ['https://www.paypal.com/signin', 'PayPal', true],
+    ['https://paypal.tk/', 'PayPal', false],
+    ['https://paypal.co.uk/', 'PayPal', false],
+    ['https://www.paypal.co.uk/', 'paypal.co.uk', true],
+    ['https://www.paypal.com/', 'Pay Pal', true],
+    ['https://paypal.com.evil.net/', 'PayPal', false]
+];
+
+['project/matcher.js', 'extension/matcher.js'].forEach(matcherFile => {
+    const publicSuffixFile = matcherFile.replace('matcher.js', 'publicsuffix.js');
+    const { siteMatcher } = loadScripts([publicSuffixFile, matcherFile]);
+
+    describe(matcherFile, () => {
+        describe('getDomainParts', () => {
+            domainParts.forEach(([host, publicSuffix, baseDomain]) => {
+                it(host, () => {
+                    assert.deepStrictEqual({ ...siteMatcher.getDomainParts(host) }, { publicSuffix, baseDomain });
+                });
+            });
+        });
+
+        describe('matchesRule', () => {
+            rules.forEach(([pageUrl, rule, expected]) => {
+                it(`${rule.match || 'base-domain'} ${rule.url} on ${pageUrl}`, () => {
+                    assert.strictEqual(siteMatcher.matchesRule(pageUrl, rule), expected);
+                });
+            });
+        });
+
+        describe('matchesPlatformName', () => {
+            platformNames.forEach(([pageUrl, platform, expected]) => {
+                it(`${platform} on ${pageUrl}`, () => {
+                    assert.strictEqual(siteMatcher.matchesPlatformName(pageUrl, platform), expected);
+                });
+            });
+        });
+
+        it('orders matches from the most specific rule', () => {
+            const entries = [
+                { id: 'name', platform: 'example.com' },
+                { id: 'base', urls: [{ url: 'example.com' }] },
+                { id: 'host', urls: [{ url: 'login.example.com', match: 'host' }] },
+                { id: 'other', urls: [{ url: 'example.org' }] }
+            ];
+
+            const ids = siteMatcher.findMatches('https://login.example.com/', entries).map(entry => entry.id);
+            assert.deepStrictEqual(ids, ['host', 'base', 'name']);
+        });
+    });
+});